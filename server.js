@@ -8,6 +8,7 @@
  * 1. BASIC CRUD OPERATIONS
  *    - Create, Read, Update, Delete for all entity types
  *    - Type validation and automatic date conversion
+ *    - Bulk delete, edit and export of selected rows, one call each (see BULK ACTIONS)
  *
  * 2. ADVANCED FEATURES
  *    - createWithLogs() / updateWithLogs() - Enhanced debugging (see createCategory)
@@ -31,28 +32,76 @@
  *    - History tables for soft deletes
  *    - Foreign key integrity checks
  *    - Cascade deletion for maintaining referential integrity
+ *    - Versioned schema migrations (see SCHEMA MIGRATIONS)
+ *    - Drive snapshots with scheduled backups and restore (see SNAPSHOTS)
+ *
+ * 6. ENVIRONMENTS
+ *    - Dev/staging/prod spreadsheets from Script Properties, ?env= per user
+ *    - cloneEnvironment() copies the schema and anonymized data (see ENVIRONMENTS)
  *
  * =============================================================================
  */
 
 function doGet(e) {
-  var Template = HtmlService.createTemplateFromFile("index")
-    .evaluate()
+  const isApiCall = Boolean(e && e.parameter && e.parameter.resource);
+  // ?env= picks the environment; the UI remembers it for the user (see ENVIRONMENTS)
+  const environmentError = applyRequestedEnvironment_(e, !isApiCall);
+  if (environmentError) {
+    return isApiCall ? apiResponse_(environmentError) : environmentErrorPage_(environmentError);
+  }
+  // Nothing runs against sheets that don't match the configs (see SCHEMA MIGRATIONS)
+  const schemaError = schemaError_();
+  if (schemaError) {
+    return isApiCall ? apiResponse_(schemaError) : schemaErrorPage_(schemaError);
+  }
+
+  // Requests that name a resource are API calls; everything else gets the UI.
+  if (isApiCall) {
+    return handleApiGet_(e);
+  }
+
+  var Template = HtmlService.createTemplateFromFile("index");
+  // The caller's saved language (see saveUserLanguage), read by i18n.js.html
+  Template.language = savedUserLanguage_() || "";
+  // Shown in the banner of non-production environments
+  Template.environment = publicEnvironment_(ENVIRONMENT);
+  Template.appUrl = ScriptApp.getService().getUrl();
+  return Template.evaluate()
     .setTitle("Test CRUD WebApp")
     .setFaviconUrl("https://cdn-icons-png.freepik.com/512/9850/9850812.png")
     .addMetaTag("viewport", "width=device-width, initial-scale=1")
     .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
-  return Template;
 }
 
 function include(filename) {
   return HtmlService.createHtmlOutputFromFile(filename).getContent();
 }
 
-const db = CamDB.init(
-  "testing-concurrency",
-  "1ifW1tILJRrGXZ5vatl8iDQnM9vE5bcolfnpHB6w_o44"
-);
+/**
+ * Where the data lives. Each environment (prod, staging, dev...) has its own
+ * spreadsheet, defined in the "environments" script property; see the
+ * ENVIRONMENTS section.
+ */
+const ENVIRONMENTS_PROPERTY = "environments";
+const DEFAULT_ENVIRONMENT_PROPERTY = "environments:default";
+// Comma-separated emails that may use ?env= besides the admins
+const ENVIRONMENT_USERS_PROPERTY = "environments:users";
+// Used while the "environments" script property isn't set
+const FALLBACK_ENVIRONMENTS = {
+  prod: {
+    label: "Producción",
+    spreadsheetId: "1ifW1tILJRrGXZ5vatl8iDQnM9vE5bcolfnpHB6w_o44",
+    dbName: "testing-concurrency",
+    production: true,
+  },
+};
+// Banner colors a non-production environment can pick
+const ENVIRONMENT_COLORS = ["amber", "red", "sky", "emerald", "violet"];
+
+// This execution's environment and its CamDB instance. A request naming
+// another environment switches both (useEnvironment_)
+let ENVIRONMENT = selectEnvironment_(savedUserEnvironment_());
+let db = CamDB.init(ENVIRONMENT.dbName, ENVIRONMENT.spreadsheetId);
 
 /**
  * Category table configuration demonstrating advanced schema features:
@@ -103,585 +152,5000 @@ const orderTableConfig = {
   },
 };
 
-function createSchema() {
-  console.log(db.createTable(categoryTableConfig));
-  console.log(db.createTable(productTableConfig));
-  console.log(db.createTable(customerTableConfig));
-  console.log(db.createTable(orderTableConfig));
-  console.log(db.createTable(orderDetailConfig));
-}
-
-console.log(db.putTableIntoDbContext(categoryTableConfig));
-console.log(db.putTableIntoDbContext(productTableConfig));
-console.log(db.putTableIntoDbContext(customerTableConfig));
-console.log(db.putTableIntoDbContext(orderTableConfig));
-
-const responseCreation = db.createManyToManyTableConfig({
-  entity1TableName: orderTableConfig.tableName,
-  entity2TableName: productTableConfig.tableName,
-  fieldsRelatedToBothEntities: {
-    quantity: "number",
+/**
+ * Who may use the app. Roles: viewer (read), editor (create/update/delete)
+ * and admin (everything, including Advanced Features and this table).
+ * See the AUTHENTICATION & ROLES section.
+ */
+const userRoleTableConfig = {
+  tableName: "USER_ROLE",
+  historyTableName: "DELETED_USER_ROLE",
+  fields: {
+    email: "string",
+    role: { type: "string", default: "viewer" },
+    created_at: "date",
   },
-});
-
-const orderDetailConfig = responseCreation.data;
+};
 
-console.log(db.putTableIntoDbContext(orderDetailConfig));
+/**
+ * One row per write (see the AUDIT LOG section). `changes` holds the JSON
+ * field diff: { field: { from, to } }. Not in ENTITY_REGISTRY, so it can't
+ * be edited through the generic CRUD functions.
+ */
+const auditLogTableConfig = {
+  tableName: "AUDIT_LOG",
+  historyTableName: "DELETED_AUDIT_LOG",
+  fields: {
+    table_name: "string",
+    record_id: "number",
+    action: "string",
+    user: "string",
+    changes: "string",
+    created_at: "date",
+  },
+};
 
 /**
- * ||=====================================================||
- * ||                   CRUD for CATEGORY                 ||
- * ||=====================================================||
+ * Applied schema migrations, one row per version (see SCHEMA MIGRATIONS).
  */
+const migrationsTableConfig = {
+  tableName: "MIGRATIONS",
+  fields: {
+    version: "number",
+    name: "string",
+    applied_by: "string",
+    applied_at: "date",
+  },
+};
 
 /**
- * Get all products related to a category (one-to-many relationship)
- * This demonstrates the getRelatedRecords() method for retrieving
- * child records based on a foreign key relationship.
- *
- * @param {number} foreignKey - The category ID to find products for
- * @param {string} field - The foreign key field name in the product table
- * @param {number} fieldIndex - The column index of the foreign key (1-based)
- * @param {Object} options - Pagination/sorting options
- * @param {boolean} useCache - Whether to use cached results
+ * Kept for existing setups: the tables are now created by the first
+ * migration, so this just runs the pending ones (see runMigrations).
  */
-function getCategoryRelatedRecords(
-  foreignKey,
-  field = "category_fk",
-  fieldIndex = 4,
-  options = {},
-  useCache = false
-) {
-  const response = db.getRelatedRecords(
-    foreignKey,
-    productTableConfig.tableName,
-    field,
-    fieldIndex,
-    options,
-    useCache
-  );
-  return JSON.stringify(response);
+function createSchema() {
+  return runMigrations();
 }
 
 /**
- * Bulk read multiple categories by their IDs
- * This demonstrates the readIdList() method for efficient batch reading.
- *
- * Example: readMultipleCategories([1, 2, 3, 5, 10])
- * Returns: { data: [...found records...], notFound: [5, 10] }
- *
- * @param {Array<number>} ids - Array of category IDs to retrieve
+ * Puts every table into a CamDB instance: on load, and again for each
+ * environment an execution switches to (useEnvironment_).
+ * @returns {Object} the ORDER_DETAIL junction config
  */
-function readMultipleCategories(ids) {
-  const response = db.readIdList(categoryTableConfig.tableName, ids);
-  console.log("Bulk read result:", response);
-  console.log("Found records:", response.data.length);
-  console.log("Not found IDs:", response.notFound);
-  return JSON.stringify(response);
+function registerTables_(database) {
+  [
+    categoryTableConfig,
+    productTableConfig,
+    customerTableConfig,
+    orderTableConfig,
+    userRoleTableConfig,
+    auditLogTableConfig,
+    migrationsTableConfig,
+  ].forEach((config) => console.log(database.putTableIntoDbContext(config)));
+
+  const responseCreation = database.createManyToManyTableConfig({
+    entity1TableName: orderTableConfig.tableName,
+    entity2TableName: productTableConfig.tableName,
+    fieldsRelatedToBothEntities: {
+      quantity: "number",
+    },
+  });
+  console.log(database.putTableIntoDbContext(responseCreation.data));
+  return responseCreation.data;
 }
 
+const orderDetailConfig = registerTables_(db);
+
 /**
- * Create a new category with detailed logging
- * Uses createWithLogs() which provides enhanced debugging information
- * including validation details, type conversions, and any errors.
+ * ||=====================================================||
+ * ||                  SCHEMA MIGRATIONS                  ||
+ * ||=====================================================||
+ * The sheets change only through the versioned steps below. runMigrations()
+ * applies the pending ones in order and records each version in the
+ * MIGRATIONS table; the web app and the JSON API refuse to start while a
+ * migration is pending or a sheet's columns don't match its config (see
+ * schemaStatus_).
  *
- * The function also demonstrates:
- * - Schema default values (name will use "default_name" if not provided)
- * - treatNullAsMissing flag (null name values trigger default)
- * - Date field handling (automatic conversion)
+ * Changing a table means changing its config AND adding a migration:
+ *
+ *   { version: 2, name: "Add stock to products", steps: [
+ *     { op: "add_column", table: "PRODUCT", field: "stock", after: "price", default: 0 },
+ *   ] }
+ *
+ * Steps (table is a registry key or table name; column steps also change
+ * its history table):
+ * - create_table:  { config } - creates the table and its history table
+ * - add_column:    { table, field, after?, default? } - inserts the column
+ *   after `after` (the last column by default), filling existing rows with
+ *   `default`
+ * - rename_column: { table, from, to }
+ * - drop_column:   { table, field }
+ * - backfill:      { table, field, value } - fills the empty cells; `value`
+ *   may be a function receiving the row's record
+ *
+ * A step whose change is already in the sheet is skipped, so a migration
+ * that failed halfway can simply run again. Versions are never reused or
+ * edited once deployed.
  */
-function createCategory(newCategory) {
-  newCategory.created_at = new Date(newCategory.created_at);
-  const response = db.createWithLogs(
-    categoryTableConfig.tableName,
-    newCategory,
-    Object.keys(categoryTableConfig.fields)
-  );
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "Create the base tables",
+    // Tables that already exist (created by the old createSchema) are skipped
+    steps: [
+      { op: "create_table", config: categoryTableConfig },
+      { op: "create_table", config: productTableConfig },
+      { op: "create_table", config: customerTableConfig },
+      { op: "create_table", config: orderTableConfig },
+      { op: "create_table", config: orderDetailConfig },
+      { op: "create_table", config: userRoleTableConfig },
+      { op: "create_table", config: auditLogTableConfig },
+    ],
+  },
+];
 
-  console.log(response);
-  return JSON.stringify(response);
-}
+// A matching schema is trusted for this long; mismatches are checked every time
+const SCHEMA_STATUS_SECONDS = 10 * 60;
 
-function readCategoryTable() {
-  const response = db.getAll(
-    categoryTableConfig.tableName,
-    (options = {}),
-    (useCache = false)
-  );
-  console.log(response.status);
-  console.log(response.message);
+/**
+ * Applies the pending migrations under the script lock, stopping at the first
+ * step that fails (its migration is not recorded). Run it from the editor
+ * after deploying a new migration; the log lists every step.
+ *
+ * @returns {string} JSON { status, data: { migrated, failed?, ...getMigrationStatus } }
+ *
+ * Example:
+ * runMigrations()
+ * => { status: 200, data: { migrated: [{ version: 2, name: "Add stock to products",
+ *      steps: ["PRODUCT: added stock; DELETED_PRODUCT: added stock"] }],
+ *      current: 2, latest: 2, applied: [...], pending: [], mismatches: [] } }
+ */
+function runMigrations() {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
 
-  return JSON.stringify(response);
-}
+  const response = withScriptLock_("migrate", () => {
+    if (!openSpreadsheet_().getSheetByName(migrationsTableConfig.tableName)) {
+      applyMigrationStep_({ op: "create_table", config: migrationsTableConfig });
+    }
 
-function updateCategory(updatedCategory, id) {
-  // console.log("to update:",updatedCategory)
-  // console.log("id",id)
-  updatedCategory.created_at = new Date(updatedCategory.created_at);
+    const migrated = [];
+    for (const migration of pendingMigrations_()) {
+      const steps = [];
+      try {
+        migration.steps.forEach((step) => {
+          steps.push(applyMigrationStep_(step));
+          console.log(`Migration ${migration.version}: ${steps[steps.length - 1]}`);
+        });
+      } catch (error) {
+        console.error(`Migration ${migration.version} failed at step ${steps.length + 1}:`, error);
+        return {
+          status: 500,
+          error: `Migration ${migration.version} (${migration.name}) failed at step ${steps.length + 1}: ${error.message}`,
+          data: Object.assign(
+            { migrated, failed: { version: migration.version, name: migration.name, steps } },
+            migrationStatus_()
+          ),
+        };
+      }
 
-  const response = db.update(
-    categoryTableConfig.tableName,
-    id,
-    updatedCategory,
-    Object.keys(categoryTableConfig.fields)
-  );
+      const recorded = db.create(
+        migrationsTableConfig.tableName,
+        { version: migration.version, name: migration.name, applied_by: currentUserEmail_(), applied_at: new Date() },
+        fieldNames_(migrationsTableConfig)
+      );
+      if (recorded.status !== 200) {
+        return normalizeLockError_({
+          status: recorded.status,
+          error: `Migration ${migration.version} was applied but could not be recorded: ${recorded.error || recorded.message}`,
+        });
+      }
+      migrated.push({ version: migration.version, name: migration.name, steps });
+    }
 
-  console.log(response);
+    return { status: 200, data: Object.assign({ migrated }, migrationStatus_()) };
+  });
 
+  // Cached reads and search indexes may hold the old columns
+  if (response.data && (response.data.migrated.length || response.data.failed)) {
+    Object.keys(ENTITY_REGISTRY).forEach(invalidateTable_);
+  }
   return JSON.stringify(response);
 }
 
-function readCategoryById(id) {
-  const response = db.read(categoryTableConfig.tableName, id);
+/**
+ * Applied and pending migrations, and the sheets that don't match their
+ * config.
+ *
+ * @returns {string} JSON { status, data: { current, latest, applied, pending, mismatches } }
+ *
+ * Example:
+ * getMigrationStatus()
+ * => { status: 200, data: { current: 1, latest: 2, pending: [{ version: 2, name: "Add stock to products" }],
+ *      mismatches: ['PRODUCT: columns are "id, name, price, category_fk, created_at", the config expects
+ *      "id, name, price, stock, category_fk, created_at"'], applied: [...] } }
+ */
+function getMigrationStatus() {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
 
-  console.log(response);
+  try {
+    return JSON.stringify({ status: 200, data: migrationStatus_() });
+  } catch (error) {
+    console.error("Reading the migration status failed:", error);
+    return JSON.stringify({ status: 500, error: error.message });
+  }
+}
 
-  return JSON.stringify(response);
+function migrationStatus_() {
+  const applied = appliedMigrations_();
+  const pending = pendingMigrations_(applied).map(({ version, name }) => ({ version, name }));
+  return {
+    current: currentSchemaVersion_(applied),
+    latest: MIGRATIONS.reduce((max, migration) => Math.max(max, migration.version), 0),
+    applied: applied,
+    pending: pending,
+    mismatches: schemaMismatches_(),
+  };
 }
 
-function removeCategory(id) {
-  const response = db.remove(
-    categoryTableConfig.tableName,
-    categoryTableConfig.historyTableName,
-    id
-  );
+/**
+ * @returns {Array<Object>} MIGRATIONS rows, oldest first (none before the
+ * table exists)
+ */
+function appliedMigrations_() {
+  if (!openSpreadsheet_().getSheetByName(migrationsTableConfig.tableName)) return [];
 
-  console.log(response);
+  const response = db.getAll(migrationsTableConfig.tableName, {}, false);
+  if (response.status !== 200) {
+    throw new Error(`Could not read ${migrationsTableConfig.tableName}: ${response.error || response.message}`);
+  }
+  return response.data
+    .map(({ version, name, applied_by, applied_at }) => ({ version: Number(version), name, applied_by, applied_at }))
+    .sort((a, b) => a.version - b.version);
+}
 
-  return JSON.stringify(response);
+function currentSchemaVersion_(applied = appliedMigrations_()) {
+  return applied.reduce((max, row) => Math.max(max, Number(row.version)), 0);
+}
+
+function pendingMigrations_(applied = appliedMigrations_()) {
+  const done = new Set(applied.map((row) => row.version));
+  return MIGRATIONS.filter((migration) => !done.has(migration.version)).sort((a, b) => a.version - b.version);
 }
 
 /**
- * ||=====================================================||
- * ||               CRUD for PRODUCT TABLE                ||
- * ||=====================================================||
+ * Every table the app reads, with the columns its sheet must have.
  */
-function createProduct(newProduct) {
-  // Convert dates as needed
-  if (newProduct.created_at) {
-    newProduct.created_at = new Date(newProduct.created_at);
-  }
-  const response = db.create(
-    productTableConfig.tableName,
-    newProduct,
-    Object.keys(productTableConfig.fields)
-  );
-  return JSON.stringify(response);
+function schemaConfigs_() {
+  return Object.values(ENTITY_REGISTRY)
+    .map((entity) => entity.config)
+    .concat(auditLogTableConfig, migrationsTableConfig);
 }
 
-function readProductTable() {
-  const response = db.getAll(
-    productTableConfig.tableName,
-    {}, // options = {}
-    false // useCache = false
-  );
-  return JSON.stringify(response);
+function schemaConfig_(table) {
+  const entity = getEntity_(table);
+  if (entity) return entity.config;
+  const config = schemaConfigs_().find((candidate) => candidate.tableName === String(table).toUpperCase());
+  if (!config) throw new Error(`Unknown table ${table}`);
+  return config;
 }
 
-function readProductById(id) {
-  const response = db.read(productTableConfig.tableName, id);
-  return JSON.stringify(response);
+function sheetHeaders_(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  return lastColumn ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String) : [];
 }
 
-function updateProduct(updatedProduct, id) {
-  if (updatedProduct.created_at) {
-    updatedProduct.created_at = new Date(updatedProduct.created_at);
-  }
-  const response = db.update(
-    productTableConfig.tableName,
-    id,
-    updatedProduct,
-    Object.keys(productTableConfig.fields)
-  );
-  return JSON.stringify(response);
+/**
+ * Compares each sheet's header row with ["id", ...config fields]. History
+ * tables may add their deletion timestamp column.
+ * @returns {Array<string>} one message per table that doesn't match
+ */
+function schemaMismatches_() {
+  const spreadsheet = openSpreadsheet_();
+  const mismatches = [];
+  const compare = (sheetName, expected, ignored) => {
+    const sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      mismatches.push(`${sheetName}: the sheet does not exist`);
+      return;
+    }
+    const headers = sheetHeaders_(sheet).filter((header) => !ignored.includes(header));
+    if (headers.join(",") !== expected.join(",")) {
+      mismatches.push(`${sheetName}: columns are "${headers.join(", ")}", the config expects "${expected.join(", ")}"`);
+    }
+  };
+
+  schemaConfigs_().forEach((config) => {
+    const columns = ["id"].concat(fieldNames_(config));
+    compare(config.tableName, columns, []);
+    if (config.historyTableName) compare(config.historyTableName, columns, HISTORY_DELETED_AT_FIELDS);
+  });
+  return mismatches;
 }
 
 /**
- * Remove a product with cascade deletion
- * Uses removeWithCascade() which automatically deletes related records
- * in junction tables (e.g., ORDER_DETAIL records for this product).
- *
- * This prevents orphaned records and maintains referential integrity.
+ * What doGet/doPost and authorizeTable_ check before serving anything. A
+ * matching schema is cached per version of the configs and migrations, so
+ * deploying either one checks the sheets again.
+ * @returns {Object|null} a 503 response, or null when the schema is up to date
  */
-function removeProduct(id) {
-  const response = db.removeWithCascade(
-    productTableConfig.tableName,
-    productTableConfig.historyTableName,
-    id
-  );
-  return JSON.stringify(response);
+function schemaError_() {
+  const cache = environmentCache_();
+  const fingerprint = JSON.stringify([MIGRATIONS.map((migration) => migration.version), schemaConfigs_()]);
+  const cacheKey = `schema:${Utilities.base64EncodeWebSafe(
+    Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, fingerprint)
+  )}`;
+  if (cache.get(cacheKey)) return null;
+
+  const status = migrationStatus_();
+  if (!status.pending.length && !status.mismatches.length) {
+    cache.put(cacheKey, "ok", SCHEMA_STATUS_SECONDS);
+    return null;
+  }
+
+  const reasons = status.pending
+    .map((migration) => `migration ${migration.version} (${migration.name}) is pending`)
+    .concat(status.mismatches);
+  return {
+    status: 503,
+    error: `The database schema is out of date, an admin must run runMigrations(): ${reasons.join("; ")}`,
+    data: { pending: status.pending, mismatches: status.mismatches },
+  };
+}
+
+function schemaErrorPage_(schemaError) {
+  const escape = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const reasons = schemaError.data.pending
+    .map((migration) => `Migration ${migration.version} (${migration.name}) is pending`)
+    .concat(schemaError.data.mismatches);
+  return HtmlService.createHtmlOutput(
+    `<h2>The database schema is out of date</h2>` +
+      `<p>An admin must run <code>runMigrations()</code> from the Apps Script editor.</p>` +
+      `<ul>${reasons.map((reason) => `<li>${escape(reason)}</li>`).join("")}</ul>`
+  ).setTitle("Test CRUD WebApp");
 }
 
 /**
- * ||=====================================================||
- * ||              CRUD for CUSTOMER TABLE                ||
- * ||=====================================================||
+ * Applies one step. Each step checks the sheet first and is skipped when its
+ * change is already there.
+ * @returns {string} what was done, for the log
  */
+function applyMigrationStep_(step) {
+  if (step.op === "create_table") {
+    const name = step.config.tableName;
+    if (openSpreadsheet_().getSheetByName(name)) return `${name}: already exists`;
+    const response = db.createTable(step.config);
+    if (response.status !== 200) throw new Error(`Could not create ${name}: ${response.error || response.message}`);
+    return `${name}: created`;
+  }
 
-function getRelatedCustomerRecords(
-  foreignKey,
-  field = "customer_fk",
-  fieldIndex = 2,
-  options = {},
-  useCache = false
-) {
-  const response = db.getRelatedRecords(
-    foreignKey,
-    orderTableConfig.tableName,
-    field,
-    fieldIndex,
-    options,
-    useCache
-  );
+  const config = schemaConfig_(step.table);
+  const spreadsheet = openSpreadsheet_();
+  const sheets = [config.tableName, config.historyTableName]
+    .filter(Boolean)
+    .map((sheetName) => {
+      const sheet = spreadsheet.getSheetByName(sheetName);
+      if (!sheet) throw new Error(`${sheetName} does not exist`);
+      return sheet;
+    });
 
-  return JSON.stringify(response);
-}
+  switch (step.op) {
+    case "add_column":
+      return sheets.map((sheet) => addColumn_(sheet, step.field, step.after, step.default)).join("; ");
 
-function createCustomer(newCustomer) {
-  if (newCustomer.created_at) {
-    newCustomer.created_at = new Date(newCustomer.created_at);
+    case "rename_column":
+      return sheets.map((sheet) => renameColumn_(sheet, step.from, step.to)).join("; ");
+
+    case "drop_column":
+      return sheets.map((sheet) => dropColumn_(sheet, step.field)).join("; ");
+
+    case "backfill":
+      return backfillColumn_(sheets[0], step.field, step.value);
+
+    default:
+      throw new Error(`Unknown migration step "${step.op}"`);
   }
-  const response = db.create(
-    customerTableConfig.tableName,
-    newCustomer,
-    Object.keys(customerTableConfig.fields)
-  );
-  return JSON.stringify(response);
 }
 
-function readCustomerTable() {
-  const response = db.getAll(customerTableConfig.tableName, {}, false);
-  return JSON.stringify(response);
-}
+function addColumn_(sheet, field, after, defaultValue) {
+  const headers = sheetHeaders_(sheet);
+  if (headers.includes(field)) return `${sheet.getName()}: ${field} already exists`;
 
-function readCustomerById(id) {
-  const response = db.read(customerTableConfig.tableName, id);
-  return JSON.stringify(response);
+  let column = headers.length;
+  if (after) {
+    column = headers.indexOf(after) + 1;
+    if (!column) throw new Error(`${sheet.getName()} has no column ${after}`);
+  } else {
+    // History tables keep their deletion timestamp last
+    while (column > 1 && HISTORY_DELETED_AT_FIELDS.includes(headers[column - 1])) column--;
+  }
+
+  sheet.insertColumnAfter(column);
+  sheet.getRange(1, column + 1).setValue(field);
+  const rows = sheet.getLastRow() - 1;
+  if (rows > 0 && defaultValue !== undefined) {
+    sheet.getRange(2, column + 1, rows, 1).setValues(Array.from({ length: rows }, () => [defaultValue]));
+  }
+  return `${sheet.getName()}: added ${field}`;
 }
 
-function updateCustomer(updatedCustomer, id) {
-  if (updatedCustomer.created_at) {
-    updatedCustomer.created_at = new Date(updatedCustomer.created_at);
+function renameColumn_(sheet, from, to) {
+  const headers = sheetHeaders_(sheet);
+  const column = headers.indexOf(from) + 1;
+  if (!column) {
+    if (headers.includes(to)) return `${sheet.getName()}: ${from} already renamed to ${to}`;
+    throw new Error(`${sheet.getName()} has no column ${from}`);
   }
-  const response = db.update(
-    customerTableConfig.tableName,
-    id,
-    updatedCustomer,
-    Object.keys(customerTableConfig.fields)
-  );
-  return JSON.stringify(response);
+  if (headers.includes(to)) throw new Error(`${sheet.getName()} already has a column ${to}`);
+
+  sheet.getRange(1, column).setValue(to);
+  return `${sheet.getName()}: renamed ${from} to ${to}`;
 }
 
-function removeCustomer(id) {
-  const response = db.remove(
-    customerTableConfig.tableName,
-    customerTableConfig.historyTableName,
-    id
-  );
-  return JSON.stringify(response);
+function dropColumn_(sheet, field) {
+  const column = sheetHeaders_(sheet).indexOf(field) + 1;
+  if (!column) return `${sheet.getName()}: ${field} already dropped`;
+
+  sheet.deleteColumn(column);
+  return `${sheet.getName()}: dropped ${field}`;
+}
+
+function backfillColumn_(sheet, field, value) {
+  const headers = sheetHeaders_(sheet);
+  const column = headers.indexOf(field) + 1;
+  if (!column) throw new Error(`${sheet.getName()} has no column ${field}`);
+
+  const rows = sheet.getLastRow() - 1;
+  if (rows < 1) return `${sheet.getName()}: no rows to backfill`;
+
+  let filled = 0;
+  const values = sheet
+    .getRange(2, 1, rows, headers.length)
+    .getValues()
+    .map((row) => {
+      const current = row[column - 1];
+      if (current !== "" && current !== null) return [current];
+
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = row[index];
+      });
+      filled++;
+      return [typeof value === "function" ? value(record) : value];
+    });
+
+  if (filled) sheet.getRange(2, column, rows, 1).setValues(values);
+  return `${sheet.getName()}: backfilled ${filled} ${field}`;
 }
 
 /**
  * ||=====================================================||
- * ||                 CRUD for ORDER TABLE                ||
+ * ||                   ENTITY REGISTRY                   ||
  * ||=====================================================||
+ * One entry per table. The generic createRecord/readRecords/updateRecord/
+ * removeRecord functions below work for any table listed here, so adding a
+ * table means adding its config and one line in this object.
+ *
+ * - config:  the table configuration passed to createTable()
+ * - withLogs: create through createWithLogs() instead of create()
+ * - foreignKeys: { field: registryKey } for fields pointing at another table.
+ *   Every create/update checks that the parent record exists.
+ * - onDelete: { field: policy } for each foreign key, what removing the
+ *   parent does to this table's rows (see removeRecord_):
+ *     "restrict" (default) - the parent can't be removed while rows point at it
+ *     "cascade"            - the rows are removed with it (removeWithCascade())
+ *     "set_null"           - the field is emptied on the rows
+ * - access: minimum role to read / write the table, defaults to
+ *   { read: "viewer", write: "editor" }
+ * - rules: { field: constraints } checked on every create/update, on top of
+ *   the library's type checks (see the VALIDATION section). Constraints:
+ *   required, min, max, integer, maxLength, email, pattern, enum, unique.
+ * - search: fields the global record search (searchRecords) matches. Foreign
+ *   keys match the parent's `optionLabel` (an order by its customer's name).
+ *   Tables without it are not searched.
+ * - personal: fields holding personal data, replaced when cloneEnvironment()
+ *   copies anonymized data into another environment.
+ * - ui: labels used by the client to build tables and forms. Fields without
+ *   a label are shown with their field name, so new fields need no UI changes.
+ *   `optionLabel` is the template used when the table appears in a dropdown.
+ *   `translations` overrides any of these per language; the rest is Spanish.
  */
-function createOrder(newOrder) {
-  if (newOrder.created_at) {
-    newOrder.created_at = new Date(newOrder.created_at);
-  }
-  const response = db.create(
-    orderTableConfig.tableName,
-    newOrder,
-    Object.keys(orderTableConfig.fields)
+const ENTITY_REGISTRY = {
+  category: {
+    config: categoryTableConfig,
+    withLogs: true,
+    rules: {
+      name: { unique: true, maxLength: 60 },
+    },
+    search: ["name"],
+    ui: {
+      label: "Categoría",
+      plural: "Categorías",
+      icon: "bi-diagram-3",
+      optionLabel: "{name}",
+      fieldLabels: { name: "Nombre", created_at: "Fecha" },
+      translations: {
+        en: { label: "Category", plural: "Categories", fieldLabels: { name: "Name", created_at: "Date" } },
+      },
+    },
+  },
+  product: {
+    config: productTableConfig,
+    foreignKeys: { category_fk: "category" },
+    onDelete: { category_fk: "restrict" },
+    rules: {
+      name: { required: true, maxLength: 100 },
+      price: { required: true, min: 0 },
+      category_fk: { required: true },
+    },
+    search: ["name"],
+    ui: {
+      label: "Producto",
+      plural: "Productos",
+      icon: "bi-cart4",
+      optionLabel: "{name}",
+      fieldLabels: {
+        name: "Nombre",
+        price: "Precio",
+        category_fk: "Categoría",
+        created_at: "Creado",
+      },
+      translations: {
+        en: {
+          label: "Product",
+          plural: "Products",
+          fieldLabels: { name: "Name", price: "Price", category_fk: "Category", created_at: "Created" },
+        },
+      },
+    },
+  },
+  customer: {
+    config: customerTableConfig,
+    rules: {
+      first_name: { required: true, maxLength: 60 },
+      last_name: { required: true, maxLength: 60 },
+      email: { required: true, email: true, unique: true },
+      address: { maxLength: 200 },
+    },
+    search: ["first_name", "last_name", "email"],
+    personal: ["first_name", "last_name", "email", "address"],
+    ui: {
+      label: "Cliente",
+      plural: "Clientes",
+      icon: "bi-people",
+      optionLabel: "{first_name} {last_name}",
+      fieldLabels: {
+        first_name: "Nombre",
+        last_name: "Apellido",
+        email: "Email",
+        address: "Dirección",
+        created_at: "Fecha",
+      },
+      translations: {
+        en: {
+          label: "Customer",
+          plural: "Customers",
+          fieldLabels: {
+            first_name: "First name",
+            last_name: "Last name",
+            email: "Email",
+            address: "Address",
+            created_at: "Date",
+          },
+        },
+      },
+    },
+  },
+  order: {
+    config: orderTableConfig,
+    foreignKeys: { customer_fk: "customer" },
+    onDelete: { customer_fk: "restrict" },
+    rules: {
+      customer_fk: { required: true },
+    },
+    search: ["id", "customer_fk"],
+    ui: {
+      label: "Orden",
+      plural: "Órdenes",
+      icon: "bi-file-earmark",
+      optionLabel: "Orden #{id}",
+      fieldLabels: { customer_fk: "Cliente", created_at: "Fecha de la Orden" },
+      translations: {
+        en: {
+          label: "Order",
+          plural: "Orders",
+          optionLabel: "Order #{id}",
+          fieldLabels: { customer_fk: "Customer", created_at: "Order date" },
+        },
+      },
+    },
+  },
+  order_detail: {
+    config: orderDetailConfig,
+    foreignKeys: { order_id: "order", product_id: "product" },
+    onDelete: { order_id: "cascade", product_id: "cascade" },
+    rules: {
+      order_id: { required: true },
+      product_id: { required: true },
+      quantity: { required: true, integer: true, min: 1 },
+    },
+    ui: {
+      label: "Detalle de Orden",
+      plural: "Detalles de Órdenes",
+      icon: "bi-card-checklist",
+      optionLabel: "Detalle #{id}",
+      fieldLabels: {
+        order_id: "Orden",
+        product_id: "Producto",
+        quantity: "Cantidad",
+        created_at: "Fecha Creación",
+      },
+      translations: {
+        en: {
+          label: "Order Detail",
+          plural: "Order Details",
+          optionLabel: "Detail #{id}",
+          fieldLabels: { order_id: "Order", product_id: "Product", quantity: "Quantity", created_at: "Created" },
+        },
+      },
+    },
+  },
+  user_role: {
+    config: userRoleTableConfig,
+    access: { read: "admin", write: "admin" },
+    rules: {
+      email: { required: true, email: true, unique: true },
+      // Same values as ROLE_LEVELS (declared further down, so not usable here)
+      role: { enum: ["viewer", "editor", "admin"] },
+    },
+    ui: {
+      label: "Usuario",
+      plural: "Usuarios",
+      icon: "bi-person-badge",
+      optionLabel: "{email}",
+      fieldLabels: { email: "Email", role: "Rol", created_at: "Fecha" },
+      translations: {
+        en: { label: "User", plural: "Users", fieldLabels: { email: "Email", role: "Role", created_at: "Date" } },
+      },
+    },
+  },
+};
+
+// Let every entry know its own key, so helpers can go from entry to key
+Object.keys(ENTITY_REGISTRY).forEach((key) => {
+  ENTITY_REGISTRY[key].key = key;
+});
+
+// Tables with "cascade" children are removed through removeWithCascade()
+Object.keys(ENTITY_REGISTRY).forEach((key) => {
+  ENTITY_REGISTRY[key].cascade = childTablesOf_(key).some(
+    (child) => child.onDelete === "cascade"
+  );
+});
+
+/**
+ * Resolves a registry entry by its key ("product") or its table name ("PRODUCT").
+ * @param {string} table
+ * @returns {Object|null}
+ */
+function getEntity_(table) {
+  if (!table) return null;
+  if (ENTITY_REGISTRY[table]) return ENTITY_REGISTRY[table];
+  const tableName = String(table).toUpperCase();
+  return (
+    Object.values(ENTITY_REGISTRY).find(
+      (entity) => entity.config.tableName === tableName
+    ) || null
   );
-  return JSON.stringify(response);
 }
 
-function readOrderTable() {
-  const response = db.getAll(orderTableConfig.tableName, {}, false);
-  return JSON.stringify(response);
+function unknownTable_(table) {
+  return {
+    status: 404,
+    error: `Unknown table "${table}". Available: ${Object.keys(ENTITY_REGISTRY).join(", ")}`,
+  };
 }
 
-function readOrderById(id) {
-  const response = db.read(orderTableConfig.tableName, id);
-  return JSON.stringify(response);
+function fieldNames_(config) {
+  return Object.keys(config.fields);
 }
 
-function updateOrder(updatedOrder, id) {
-  if (updatedOrder.created_at) {
-    updatedOrder.created_at = new Date(updatedOrder.created_at);
-  }
-  const response = db.update(
-    orderTableConfig.tableName,
-    id,
-    updatedOrder,
-    Object.keys(orderTableConfig.fields)
-  );
-  return JSON.stringify(response);
+/**
+ * Field definitions are either a type string ("number") or an object
+ * with a `type` property ({ type: "string", default: ... }).
+ */
+function fieldType_(fieldDefinition) {
+  return typeof fieldDefinition === "string"
+    ? fieldDefinition
+    : fieldDefinition.type;
 }
 
 /**
- * Remove an order with cascade deletion
- * Uses removeWithCascade() to automatically delete all ORDER_DETAIL
- * records (junction table) associated with this order.
- *
- * This demonstrates how cascade deletion maintains data integrity
- * when removing parent records in many-to-many relationships.
+ * Converts incoming values (usually strings from forms or JSON) to the types
+ * declared in the table schema. Values that cannot be converted are left as-is
+ * so the library's own type validation reports them.
  */
-function removeOrder(id) {
-  const response = db.removeWithCascade(
-    orderTableConfig.tableName,
-    orderTableConfig.historyTableName,
-    id
-  );
-  return JSON.stringify(response);
+function convertRecordTypes_(config, data) {
+  const record = Object.assign({}, data);
+
+  Object.entries(config.fields).forEach(([field, definition]) => {
+    const value = record[field];
+    if (value === undefined || value === null || value === "") return;
+
+    switch (fieldType_(definition)) {
+      case "date":
+        record[field] = new Date(value);
+        break;
+      case "number":
+        if (typeof value === "string" && !isNaN(Number(value))) {
+          record[field] = Number(value);
+        }
+        break;
+      case "boolean":
+        if (value === "true" || value === "false") {
+          record[field] = value === "true";
+        }
+        break;
+    }
+  });
+
+  return record;
 }
 
 /**
  * ||=====================================================||
- * ||         CRUD for ORDER_DETAIL (Many-to-Many)        ||
+ * ||                     VALIDATION                      ||
  * ||=====================================================||
- * The 'orderDetailConfig' object was generated via:
+ * Checks records against the `rules` of their registry entry, and that
+ * their foreign keys point at existing records. Returns { field: message }
+ * for every field that fails (empty when valid), so forms can show each
+ * error next to its input.
+ *
+ * @param {Object} entity - Registry entry
+ * @param {Object} record - Record after convertRecordTypes_()
+ * @param {Object} [options]
+ * @param {number} [options.id] - Id of the record being updated, so `unique` skips it
+ * @param {Array<string>} [options.fields] - Fields to check (all ruled and
+ *   foreign key fields by default)
+ * @param {Array<Object>} [options.existingRecords] - Records `unique` compares
+ *   against; read from the table when not given
+ * @param {Object} [options.foreignKeyIds] - { field: Set of ids } to check
+ *   foreign keys against (see readForeignKeyIds_); read one by one when not given
+ */
+function validateRecord_(entity, record, options = {}) {
+  const rules = entity.rules || {};
+  const foreignKeys = entity.foreignKeys || {};
+  const checked = Object.keys(rules).concat(Object.keys(foreignKeys));
+  const fields = (options.fields || checked).filter((field) => checked.includes(field));
+  const errors = {};
+  let existingRecords = options.existingRecords || null;
+
+  fields.forEach((field) => {
+    const rule = rules[field] || {};
+    const value = record[field];
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) errors[field] = "is required";
+      return;
+    }
+
+    if (rule.integer && !Number.isInteger(value)) {
+      errors[field] = "must be a whole number";
+    } else if (rule.min !== undefined && typeof value === "number" && value < rule.min) {
+      errors[field] = `must be at least ${rule.min}`;
+    } else if (rule.max !== undefined && typeof value === "number" && value > rule.max) {
+      errors[field] = `must be at most ${rule.max}`;
+    } else if (rule.maxLength !== undefined && String(value).length > rule.maxLength) {
+      errors[field] = `must be at most ${rule.maxLength} characters`;
+    } else if (rule.email && !EMAIL_PATTERN.test(String(value))) {
+      errors[field] = `"${value}" is not a valid email`;
+    } else if (rule.pattern && !new RegExp(rule.pattern).test(String(value))) {
+      errors[field] = rule.message || `"${value}" has an invalid format`;
+    } else if (rule.enum && !rule.enum.includes(String(value))) {
+      errors[field] = `must be one of: ${rule.enum.join(", ")}`;
+    } else if (rule.unique) {
+      if (!existingRecords) {
+        const response = readRecords_(entity.key);
+        if (response.status !== 200) {
+          throw new Error(`Could not read ${entity.config.tableName} to check ${field}: ${response.error}`);
+        }
+        existingRecords = response.data;
+      }
+      const normalized = uniqueValue_(value);
+      const duplicate = existingRecords.find(
+        (existing) => existing.id != options.id && uniqueValue_(existing[field]) === normalized
+      );
+      if (duplicate) {
+        errors[field] = `"${value}" already exists (#${duplicate.id})`;
+      }
+    }
+
+    const targetKey = foreignKeys[field];
+    if (!errors[field] && targetKey) {
+      const exists = options.foreignKeyIds && options.foreignKeyIds[field]
+        ? options.foreignKeyIds[field].has(Number(value))
+        : recordExists_(targetKey, value);
+      if (!exists) {
+        errors[field] = `${ENTITY_REGISTRY[targetKey].config.tableName} #${value} does not exist`;
+      }
+    }
+  });
+
+  return errors;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Unique values are compared trimmed and case-insensitive ("Books" = "books ")
+function uniqueValue_(value) {
+  return String(value === undefined || value === null ? "" : value).trim().toLowerCase();
+}
+
+/**
+ * The library's type check for one converted value (see convertRecordTypes_),
+ * for writes that don't go through create()/update(). `raw` is the value as
+ * given, for the message.
+ * @returns {string|null} the error, or null when the value has its field's type
+ */
+function fieldTypeError_(definition, value, raw = value) {
+  const type = fieldType_(definition);
+  if (type === "number" && (typeof value !== "number" || !isFinite(value))) {
+    return `"${raw}" is not a number`;
+  }
+  if (type === "date" && !(value instanceof Date && !isNaN(value.getTime()))) {
+    return `"${raw}" is not a valid date`;
+  }
+  if (type === "boolean" && typeof value !== "boolean") {
+    return `"${raw}" is not true/false`;
+  }
+  return null;
+}
+
+/**
+ * 400 response for validateRecord_() errors. `errors` keeps the per-field
+ * messages; `error` joins them for callers that only show one message.
+ */
+function validationError_(entity, errors) {
+  return {
+    status: 400,
+    error: `Invalid ${entity.config.tableName}: ` +
+      Object.entries(errors).map(([field, message]) => `${field} ${message}`).join("; "),
+    errors: errors,
+  };
+}
+
+/**
+ * @param {string} [auditAction] - Action written to the audit log
+ *   ("create" by default; "restore", "import", ... for other flows)
+ */
+function createRecord_(table, data, auditAction = "create") {
+  const entity = getEntity_(table);
+  if (!entity) return unknownTable_(table);
+
+  const { tableName } = entity.config;
+  const record = convertRecordTypes_(entity.config, data);
+  const keyOrder = fieldNames_(entity.config);
+
+  const errors = validateRecord_(entity, record);
+  if (Object.keys(errors).length) return validationError_(entity, errors);
+
+  const response = normalizeLockError_(
+    entity.withLogs
+      ? db.createWithLogs(tableName, record, keyOrder)
+      : db.create(tableName, record, keyOrder)
+  );
+  if (response.status === 200) {
+    writeAuditEntry_(entity, response.data.id, auditAction, null, response.data);
+    invalidateTable_(entity.key);
+  }
+  return withVersions_(entity, response);
+}
+
+/**
+ * @param {boolean} [useCache] - Serve from the read cache (cachedRead_).
+ *   Off by default: validation, integrity checks and writes read the sheet
+ */
+function readRecords_(table, options = {}, useCache = false) {
+  const entity = getEntity_(table);
+  if (!entity) return unknownTable_(table);
+  const read = () => withVersions_(entity, db.getAll(entity.config.tableName, options, false));
+  return useCache ? cachedRead_([entity.key], "records", options, read) : read();
+}
+
+function readRecordById_(table, id) {
+  const entity = getEntity_(table);
+  if (!entity) return unknownTable_(table);
+  return withVersions_(entity, db.read(entity.config.tableName, id));
+}
+
+/**
+ * Updates a record. When `data._version` is set (the version the client
+ * read), the update only happens if the record still has that version;
+ * otherwise it answers 409 with the current record so the client can merge.
+ */
+function updateRecord_(table, data, id) {
+  const entity = getEntity_(table);
+  if (!entity) return unknownTable_(table);
+
+  const { _version: expectedVersion, ...changes } = data || {};
+  const write = () => {
+    const before = readRecordById_(entity.key, id);
+    if (before.status !== 200) return before;
+
+    if (expectedVersion && expectedVersion !== before.data._version) {
+      return {
+        status: 409,
+        error: `${entity.config.tableName} #${id} was changed by someone else since you opened it`,
+        data: before.data,
+      };
+    }
+
+    // Only the fields being changed: old rows that break a newer rule stay editable
+    const record = convertRecordTypes_(entity.config, changes);
+    const errors = validateRecord_(entity, record, { id: id, fields: Object.keys(changes) });
+    if (Object.keys(errors).length) return validationError_(entity, errors);
+
+    const response = normalizeLockError_(
+      db.update(entity.config.tableName, id, record, fieldNames_(entity.config))
+    );
+    if (response.status !== 200) return response;
+
+    writeAuditEntry_(entity, id, "update", before.data, response.data);
+    invalidateTable_(entity.key);
+    // Re-read so the new version is computed from the stored values
+    const after = readRecordById_(entity.key, id);
+    return after.status === 200 ? Object.assign({}, response, { data: after.data }) : response;
+  };
+
+  // Check and write under one lock, so nobody saves in between
+  return expectedVersion ? withScriptLock_("update", write) : write();
+}
+
+/**
+ * Removes a record, applying the onDelete policy of every table pointing
+ * at it: "restrict" children block the removal (409), "cascade" children
+ * go with it through removeWithCascade(), and "set_null" children get
+ * their foreign key emptied once the parent is gone. The checks and the
+ * removal run under the script lock, so no child can be added in between.
+ */
+function removeRecord_(table, id) {
+  const entity = getEntity_(table);
+  if (!entity) return unknownTable_(table);
+  return withScriptLock_("remove", () => removeRecords_(entity, [id])[0]);
+}
+
+/**
+ * removeRecord_() for callers that already hold the script lock, for one or
+ * more ids of a table. Each child table is read once for all of them.
+ * @returns {Array<Object>} one response per id, in the order given
+ */
+function removeRecords_(entity, ids) {
+  const { tableName, historyTableName } = entity.config;
+  let childTables;
+  try {
+    childTables = readChildTables_(entity, ids);
+  } catch (error) {
+    return ids.map(() => ({ status: 500, error: error.message }));
+  }
+
+  return ids.map((id) => {
+    const children = childTables
+      .map((child) =>
+        Object.assign({}, child, {
+          records: child.records.filter((record) => Number(record[child.field]) === Number(id)),
+        })
+      )
+      .filter((child) => child.records.length);
+
+    const restricted = children.filter((child) => child.onDelete === "restrict");
+    if (restricted.length) {
+      return {
+        status: 409,
+        error: `Cannot remove ${tableName} #${id}, it is still used by ` +
+          restricted
+            .map(({ entity: child, field, records }) =>
+              `${records.length} ${child.config.tableName} (${field})`)
+            .join(", "),
+      };
+    }
+
+    const before = db.read(tableName, id);
+    const response = normalizeLockError_(
+      entity.cascade
+        ? db.removeWithCascade(tableName, historyTableName, id)
+        : db.remove(tableName, historyTableName, id)
+    );
+    if (response.status !== 200) return response;
+
+    writeAuditEntry_(entity, id, "remove", before.data, null);
+    invalidateTable_(entity.key);
+    children.forEach(({ entity: child, field, onDelete, records }) => {
+      invalidateTable_(child.key);
+      records.forEach((record) => {
+        if (onDelete === "cascade") {
+          writeAuditEntry_(child, record.id, `cascade_remove (${tableName} #${id})`, record, null);
+        } else if (onDelete === "set_null") {
+          clearForeignKey_(child, field, record, `set_null (${tableName} #${id})`);
+        }
+      });
+    });
+    return response;
+  });
+}
+
+function clearForeignKey_(entity, field, record, auditAction) {
+  const response = db.update(
+    entity.config.tableName,
+    record.id,
+    { [field]: null },
+    fieldNames_(entity.config)
+  );
+  if (response.status === 200) {
+    writeAuditEntry_(entity, record.id, auditAction, record, response.data);
+  } else {
+    console.error(`Could not clear ${entity.config.tableName} #${record.id} ${field}:`, response.error);
+  }
+}
+
+/**
+ * Version token of a record: a short hash of its field values. Any saved
+ * change gives a new token, so comparing tokens tells whether the record
+ * changed since it was read. No extra column is needed in the sheets.
+ */
+function recordVersion_(config, record) {
+  const values = fieldNames_(config).map((field) => {
+    const value = record[field];
+    if (value instanceof Date) return value.getTime();
+    return value === undefined || value === null ? "" : String(value);
+  });
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.MD5,
+    JSON.stringify([record.id].concat(values)),
+    Utilities.Charset.UTF_8
+  );
+  return digest
+    .slice(0, 8)
+    .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Adds `_version` to the record(s) of a successful library response.
+ */
+function withVersions_(entity, response) {
+  if (response.status !== 200 || !response.data) return response;
+
+  const addVersion = (record) =>
+    Object.assign({}, record, { _version: recordVersion_(entity.config, record) });
+  return Object.assign({}, response, {
+    data: Array.isArray(response.data) ? response.data.map(addVersion) : addVersion(response.data),
+  });
+}
+
+/**
+ * The library reports lock timeouts as a 500 whose message mentions the
+ * write lock. They become 423 (Locked) here, so clients can tell "try again"
+ * apart from real server errors without matching strings.
+ */
+function normalizeLockError_(response) {
+  if (response.status === 500 && /write lock/i.test(String(response.error || ""))) {
+    return Object.assign({}, response, { status: 423 });
+  }
+  return response;
+}
+
+/**
+ * Runs a multi-step write under the script lock, so concurrent users can't
+ * interleave with it. Returns a 423 response when the lock can't be acquired
+ * and a 500 when the handler throws.
+ * @param {string} action - Used in error messages ("restore", "import", ...)
+ * @param {Function} handler - Returns a response object
+ */
+function withScriptLock_(action, handler) {
+  const lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(10000);
+  } catch (error) {
+    return {
+      status: 423,
+      error: `Could not acquire the write lock to ${action}, try again`,
+    };
+  }
+
+  try {
+    return handler();
+  } catch (error) {
+    console.error(`${action} failed:`, error);
+    return { status: 500, error: error.message };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Idempotency keys are kept in Script Properties (unlike the cache, they can't
+// be evicted while a client still retries) for this long after their write
+const IDEMPOTENCY_KEEP_SECONDS = 6 * 60 * 60;
+// A key still "pending" after this belongs to an execution that died (Apps
+// Script stops every execution after 6 minutes)
+const IDEMPOTENCY_PENDING_SECONDS = 7 * 60;
+const IDEMPOTENCY_PROPERTY_PREFIX = "idem:";
+// Expired keys are deleted by a scan of every property, at most this often
+const IDEMPOTENCY_SWEEP_SECONDS = 60 * 60;
+
+/**
+ * Runs a write at most once per idempotency key. The client sends the same key
+ * on every retry of a queued write, so a retry after an ambiguous failure (the
+ * first call may have gone through) gets the answer of the first attempt
+ * instead of writing again. Without a key, the handler just runs.
+ *
+ * The key is claimed under the script lock and stored in Script Properties
+ * as "pending" ({ state, at, auditId }: when, and the last AUDIT_LOG id at
+ * the time). Retries of a pending key get a 423. When the handler throws or
+ * answers 423/5xx, or a retry finds the key pending for longer than
+ * IDEMPOTENCY_PENDING_SECONDS, the audit log settles it: an entry of the
+ * user's write after `auditId` means the write went through and it is
+ * answered as done; otherwise the key is released and the write runs again.
+ *
+ * Done keys keep only the status, messages and record id; replays read the
+ * record again, so stored values stay small.
+ * @param {string} [idempotencyKey] - Client generated key of the write
+ * @param {Object} target - The write, to find it in the audit log:
+ *   { table, action: "create"|"update"|"remove", id? }, plus for writes that
+ *   don't answer with a record `idOf(response)` and `read(id)` (a response)
+ * @param {Function} handler - Returns a response object
+ */
+function withIdempotencyKey_(idempotencyKey, target, handler) {
+  if (!idempotencyKey) return handler();
+
+  const propertyKey = idempotencyProperty_(idempotencyKey);
+  const claim = withScriptLock_("check the idempotency key", () =>
+    claimIdempotencyKey_(propertyKey, target)
+  );
+  if (!claim.marker) return claim.response || claim;
+
+  let response = null;
+  let failure = null;
+  try {
+    response = handler();
+  } catch (error) {
+    failure = error;
+  }
+
+  if (failure || response.status === 423 || response.status >= 500) {
+    // The write may have gone through before whatever failed after it
+    const recovered = findIdempotentWrite_(target, claim.marker);
+    if (!recovered) {
+      PropertiesService.getScriptProperties().deleteProperty(propertyKey);
+      if (failure) throw failure;
+      return response;
+    }
+    response = recovered;
+  }
+
+  storeIdempotentResponse_(propertyKey, target, response);
+  return response;
+}
+
+function idempotencyProperty_(idempotencyKey) {
+  return `${IDEMPOTENCY_PROPERTY_PREFIX}${ENVIRONMENT.name}:${currentUserEmail_()}:${idempotencyKey}`;
+}
+
+/**
+ * Call under the script lock. Either claims `propertyKey` ({ marker }) or
+ * returns what to answer instead ({ response }). Only that key is read; an
+ * expired one counts as absent until sweepIdempotencyKeys_() deletes it.
+ */
+function claimIdempotencyKey_(propertyKey, target) {
+  const properties = PropertiesService.getScriptProperties();
+  const now = Date.now();
+  sweepIdempotencyKeys_(properties, now);
+  const stored = readIdempotencyMarker_(properties.getProperty(propertyKey), now);
+
+  if (stored && stored.state === "done") {
+    return { response: replayIdempotentWrite_(target, stored) };
+  }
+  if (stored && now - stored.at < IDEMPOTENCY_PENDING_SECONDS * 1000) {
+    return { response: { status: 423, error: "This write is still being processed, try again" } };
+  }
+  if (stored) {
+    // The execution that claimed the key died; keep its write if it got that far
+    const recovered = findIdempotentWrite_(target, stored);
+    if (recovered) {
+      storeIdempotentResponse_(propertyKey, target, recovered);
+      return { response: recovered };
+    }
+  }
+
+  const marker = { state: "pending", at: now, auditId: lastAuditId_() };
+  properties.setProperty(propertyKey, JSON.stringify(marker));
+  return { marker: marker };
+}
+
+// The stored marker, or null when it is unreadable or expired
+function readIdempotencyMarker_(value, now) {
+  if (!value) return null;
+  let marker = null;
+  try {
+    marker = JSON.parse(value);
+  } catch (error) {
+    // Unreadable: treated like an expired key
+  }
+  return marker && now - marker.at <= IDEMPOTENCY_KEEP_SECONDS * 1000 ? marker : null;
+}
+
+/**
+ * Deletes expired and unreadable keys. Reading every property is the slow
+ * part, so the cache remembers the last sweep for IDEMPOTENCY_SWEEP_SECONDS.
+ */
+function sweepIdempotencyKeys_(properties, now) {
+  const cache = environmentCache_();
+  if (cache.get("idempotency:swept")) return;
+
+  Object.entries(properties.getProperties())
+    .filter(([key, value]) => key.startsWith(IDEMPOTENCY_PROPERTY_PREFIX) && !readIdempotencyMarker_(value, now))
+    .forEach(([key]) => properties.deleteProperty(key));
+  cache.put("idempotency:swept", "1", IDEMPOTENCY_SWEEP_SECONDS);
+}
+
+function storeIdempotentResponse_(propertyKey, target, response) {
+  const { status, error, errors, message } = response;
+  let recordId = target.id;
+  if (status === 200) {
+    recordId = target.idOf ? target.idOf(response) : recordId || response.data.id;
+  }
+  PropertiesService.getScriptProperties().setProperty(
+    propertyKey,
+    JSON.stringify({ state: "done", at: Date.now(), status, error, errors, message, recordId })
+  );
+}
+
+/**
+ * The answer to a retry of a done key. Successful writes and update
+ * conflicts (409) carry the record as it is stored now.
+ */
+function replayIdempotentWrite_(target, stored) {
+  const { status, error, errors, message, recordId } = stored;
+  if (status === 200) return idempotentWriteResponse_(target, recordId, message);
+
+  const response = { status, error, errors, message };
+  if (status === 409 && target.action === "update") {
+    const current = readRecordById_(target.table, recordId);
+    if (current.status === 200) response.data = current.data;
+  }
+  return response;
+}
+
+/**
+ * Looks in the audit log for the user's write after `marker.auditId`.
+ * @returns {Object|null} the response to answer with, or null when the
+ *   write is not there
+ */
+function findIdempotentWrite_(target, marker) {
+  const entity = getEntity_(target.table);
+  if (!entity) return null;
+
+  const { tableName } = entity.config;
+  const email = currentUserEmail_() || "unknown";
+  const entry = readRecentAuditEntries_().find(
+    (candidate) =>
+      candidate.id > marker.auditId &&
+      candidate.user === email &&
+      candidate.table_name === tableName &&
+      candidate.action === target.action &&
+      (target.id === undefined || Number(candidate.record_id) === Number(target.id))
+  );
+  if (!entry) return null;
+
+  const recordId = Number(entry.record_id);
+  return idempotentWriteResponse_(target, recordId, `${tableName} #${recordId} was saved by an earlier attempt`);
+}
+
+function idempotentWriteResponse_(target, recordId, message) {
+  if (target.action === "remove") return { status: 200, data: { id: recordId }, message: message };
+
+  const response = target.read ? target.read(recordId) : readRecordById_(target.table, recordId);
+  return response.status === 200 ? Object.assign({}, response, { message: message }) : response;
+}
+
+/**
+ * Generic CRUD entry points (callable from google.script.run).
+ * `table` is a registry key ("product") or a table name ("PRODUCT").
+ * Like the per-table functions, updates take (data, id).
+ * Writes take an optional idempotency key as the last argument
+ * (see withIdempotencyKey_).
+ */
+function createRecord(table, data, idempotencyKey) {
+  const denied = authorizeTable_(table, "write");
+  if (denied) return JSON.stringify(denied);
+  return JSON.stringify(
+    withIdempotencyKey_(idempotencyKey, { table, action: "create" }, () => createRecord_(table, data))
+  );
+}
+
+function readRecords(table, options = {}) {
+  const denied = authorizeTable_(table, "read");
+  if (denied) return JSON.stringify(denied);
+  return JSON.stringify(readRecords_(table, options, true));
+}
+
+function readRecordById(table, id) {
+  const denied = authorizeTable_(table, "read");
+  if (denied) return JSON.stringify(denied);
+  return JSON.stringify(readRecordById_(table, id));
+}
+
+function updateRecord(table, data, id, idempotencyKey) {
+  const denied = authorizeTable_(table, "write");
+  if (denied) return JSON.stringify(denied);
+  return JSON.stringify(
+    withIdempotencyKey_(idempotencyKey, { table, action: "update", id }, () => updateRecord_(table, data, id))
+  );
+}
+
+function removeRecord(table, id, idempotencyKey) {
+  const denied = authorizeTable_(table, "write");
+  if (denied) return JSON.stringify(denied);
+  return JSON.stringify(
+    withIdempotencyKey_(idempotencyKey, { table, action: "remove", id }, () => removeRecord_(table, id))
+  );
+}
+
+/**
+ * Describes every registered table for the client, which builds its
+ * DataTables, create/edit forms and foreign key dropdowns from it.
+ * Labels come in `language` ("es" or "en", see ui.translations).
+ *
+ * Example entry:
+ * {
+ *   key: "product", tableName: "PRODUCT", label: "Producto", ...,
+ *   fields: [
+ *     { name: "price", type: "number", label: "Precio", foreignKey: null },
+ *     { name: "category_fk", type: "number", label: "Categoría", foreignKey: "category" }
+ *   ]
+ * }
+ */
+function getTableSchemas(language = DEFAULT_LANGUAGE) {
+  const denied = authorize_("viewer");
+  if (denied) return JSON.stringify(denied);
+
+  // Tables the caller can't read (e.g. USER_ROLE for non-admins) are left out
+  const schemas = Object.keys(ENTITY_REGISTRY)
+    .filter((key) => hasRole_(tableAccess_(ENTITY_REGISTRY[key]).read))
+    .map((key) => describeEntity_(key, language));
+  return JSON.stringify({ status: 200, data: schemas });
+}
+
+/**
+ * Tables with a foreign key pointing at `key`, e.g. childTablesOf_("order")
+ * => [{ key: "order_detail", field: "order_id" }]
+ */
+function childTablesOf_(key) {
+  return Object.entries(ENTITY_REGISTRY).flatMap(([childKey, child]) =>
+    Object.entries(child.foreignKeys || {})
+      .filter(([, target]) => target === key)
+      .map(([field]) => ({
+        key: childKey,
+        field: field,
+        onDelete: (child.onDelete || {})[field] || "restrict",
+      }))
+  );
+}
+
+function describeEntity_(key, language = DEFAULT_LANGUAGE) {
+  const entity = ENTITY_REGISTRY[key];
+  const translation = ((entity.ui || {}).translations || {})[language] || {};
+  const ui = Object.assign({}, entity.ui, translation);
+  const fieldLabels = Object.assign({}, (entity.ui || {}).fieldLabels, translation.fieldLabels);
+  const foreignKeys = entity.foreignKeys || {};
+
+  return {
+    key: key,
+    tableName: entity.config.tableName,
+    historyTableName: entity.config.historyTableName,
+    label: ui.label || entity.config.tableName,
+    plural: ui.plural || entity.config.tableName,
+    icon: ui.icon || "bi-table",
+    optionLabel: ui.optionLabel || "#{id}",
+    cascade: Boolean(entity.cascade),
+    access: tableAccess_(entity),
+    children: childTablesOf_(key),
+    fields: Object.entries(entity.config.fields).map(([name, definition]) => ({
+      name: name,
+      type: fieldType_(definition),
+      label: fieldLabels[name] || name,
+      default: typeof definition === "object" ? definition.default : undefined,
+      foreignKey: foreignKeys[name] || null,
+      rules: (entity.rules || {})[name] || {},
+    })),
+  };
+}
+
+/**
+ * ||=====================================================||
+ * ||               AUTHENTICATION & ROLES                ||
+ * ||=====================================================||
+ * The web app runs as the deploying user, so every exposed function checks
+ * the caller's role before touching `db`:
+ *
+ *   const denied = authorize_("editor");
+ *   if (denied) return JSON.stringify(denied);
+ *
+ * Roles live in the USER_ROLE table (email, role). The script owner is always
+ * admin, so the first admin can add everybody else from the Usuarios module.
+ * Callers without a row, or whose email Google doesn't share with the script
+ * (see README), get DEFAULT_ROLE.
+ */
+const ROLE_LEVELS = { viewer: 1, editor: 2, admin: 3 };
+const DEFAULT_ROLE = "viewer";
+// Role lookups are cached per email; role changes apply after this long
+const ROLE_CACHE_SECONDS = 60;
+
+function currentUserEmail_() {
+  return String(Session.getActiveUser().getEmail() || "").toLowerCase();
+}
+
+function currentUserRole_() {
+  const email = currentUserEmail_();
+  if (!email) return DEFAULT_ROLE;
+  if (email === String(Session.getEffectiveUser().getEmail()).toLowerCase()) {
+    return "admin";
+  }
+
+  const cache = environmentCache_();
+  const cacheKey = `role:${email}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  // Read straight from db: readRecords_() would ask for a role again
+  const response = db.getAll(userRoleTableConfig.tableName, {}, false);
+  const row =
+    response.status === 200
+      ? response.data.find((record) => String(record.email).trim().toLowerCase() === email)
+      : null;
+
+  let role = row ? String(row.role).trim().toLowerCase() : DEFAULT_ROLE;
+  if (!ROLE_LEVELS[role]) {
+    console.warn(`Unknown role "${role}" for ${email}, using ${DEFAULT_ROLE}`);
+    role = DEFAULT_ROLE;
+  }
+
+  cache.put(cacheKey, role, ROLE_CACHE_SECONDS);
+  return role;
+}
+
+function hasRole_(requiredRole) {
+  return ROLE_LEVELS[currentUserRole_()] >= ROLE_LEVELS[requiredRole];
+}
+
+/**
+ * @param {string} requiredRole - "viewer", "editor" or "admin"
+ * @returns {Object|null} a 403 response, or null when the caller may proceed
+ */
+function authorize_(requiredRole) {
+  if (hasRole_(requiredRole)) return null;
+  return {
+    status: 403,
+    error: `Permission denied: requires the ${requiredRole} role (you are ${currentUserRole_()})`,
+  };
+}
+
+function tableAccess_(entity) {
+  return Object.assign({ read: "viewer", write: "editor" }, entity.access);
+}
+
+/**
+ * authorize_() with the role the registry requires for reading or writing
+ * `table`, then the schema check, so google.script.run calls don't touch
+ * tables the migrations haven't caught up with (doGet/doPost check it too).
+ * Unknown tables pass through so the caller reports the 404.
+ * @param {string} table - Registry key or table name
+ * @param {string} operation - "read" or "write"
+ */
+function authorizeTable_(table, operation) {
+  const entity = getEntity_(table);
+  if (!entity) return null;
+  return authorize_(tableAccess_(entity)[operation]) || schemaError_();
+}
+
+/**
+ * The caller's email, role and saved language, so the client can hide what
+ * it can't use.
+ */
+function getCurrentUser() {
+  const role = currentUserRole_();
+  return JSON.stringify({
+    status: 200,
+    data: {
+      email: currentUserEmail_() || null,
+      role: role,
+      canWrite: ROLE_LEVELS[role] >= ROLE_LEVELS.editor,
+      isAdmin: role === "admin",
+      language: savedUserLanguage_(),
+    },
+  });
+}
+
+/**
+ * ||=====================================================||
+ * ||                  USER PREFERENCES                   ||
+ * ||=====================================================||
+ * The web app runs as the deploying user, so PropertiesService's user
+ * properties would be shared by everybody. Preferences are kept in the script
+ * properties instead, one key per email (e.g. "language:ana@gmail.com").
+ */
+const SUPPORTED_LANGUAGES = ["es", "en"];
+const DEFAULT_LANGUAGE = "es";
+
+/**
+ * @returns {string|null} the caller's saved language, null when none is
+ * saved or Google doesn't share the caller's email
+ */
+function savedUserLanguage_() {
+  const email = currentUserEmail_();
+  if (!email) return null;
+  const language = PropertiesService.getScriptProperties().getProperty(`language:${email}`);
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Saves the caller's UI language. Returns the web app URL, which the client
+ * reloads so tables and forms are built again in that language.
+ * Callers without an email get saved: false; the browser keeps their choice.
+ * @param {string} language - "es" or "en"
+ */
+function saveUserLanguage(language) {
+  const denied = authorize_("viewer");
+  if (denied) return JSON.stringify(denied);
+
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    return JSON.stringify({
+      status: 400,
+      error: `Unsupported language "${language}", expected one of: ${SUPPORTED_LANGUAGES.join(", ")}`,
+    });
+  }
+
+  const email = currentUserEmail_();
+  if (email) {
+    PropertiesService.getScriptProperties().setProperty(`language:${email}`, language);
+  }
+  return JSON.stringify({
+    status: 200,
+    data: { language: language, saved: Boolean(email), url: ScriptApp.getService().getUrl() },
+  });
+}
+
+/**
+ * ||=====================================================||
+ * ||                   CRUD for CATEGORY                 ||
+ * ||=====================================================||
+ */
+
+/**
+ * Get all products related to a category (one-to-many relationship)
+ * This demonstrates the getRelatedRecords() method for retrieving
+ * child records based on a foreign key relationship.
+ *
+ * @param {number} foreignKey - The category ID to find products for
+ * @param {string} field - The foreign key field name in the product table
+ * @param {number} fieldIndex - The column index of the foreign key (1-based)
+ * @param {Object} options - Pagination/sorting options
+ * @param {boolean} useCache - Whether to use cached results (cachedRead_)
+ */
+function getCategoryRelatedRecords(
+  foreignKey,
+  field = "category_fk",
+  fieldIndex = 4,
+  options = {},
+  useCache = true
+) {
+  const denied = authorizeTable_("product", "read");
+  if (denied) return JSON.stringify(denied);
+
+  const read = () =>
+    db.getRelatedRecords(foreignKey, productTableConfig.tableName, field, fieldIndex, options, false);
+  const response = useCache
+    ? cachedRead_(["product"], "related", [foreignKey, field, fieldIndex, options], read)
+    : read();
+  return JSON.stringify(response);
+}
+
+/**
+ * Bulk read multiple categories by their IDs
+ * This demonstrates the readIdList() method for efficient batch reading.
+ *
+ * Example: readMultipleCategories([1, 2, 3, 5, 10])
+ * Returns: { data: [...found records...], notFound: [5, 10] }
+ *
+ * @param {Array<number>} ids - Array of category IDs to retrieve
+ */
+function readMultipleCategories(ids) {
+  const denied = authorizeTable_("category", "read");
+  if (denied) return JSON.stringify(denied);
+
+  const response = db.readIdList(categoryTableConfig.tableName, ids);
+  console.log("Bulk read result:", response);
+  console.log("Found records:", response.data.length);
+  console.log("Not found IDs:", response.notFound);
+  return JSON.stringify(response);
+}
+
+/**
+ * Create a new category with detailed logging
+ * Uses createWithLogs() which provides enhanced debugging information
+ * including validation details, type conversions, and any errors.
+ *
+ * The function also demonstrates:
+ * - Schema default values (name will use "default_name" if not provided)
+ * - treatNullAsMissing flag (null name values trigger default)
+ * - Date field handling (automatic conversion)
+ */
+function createCategory(newCategory) {
+  const denied = authorizeTable_("category", "write");
+  if (denied) return JSON.stringify(denied);
+
+  const response = createRecord_("category", newCategory);
+  console.log(response);
+  return JSON.stringify(response);
+}
+
+function readCategoryTable() {
+  return readRecords("category");
+}
+
+function updateCategory(updatedCategory, id) {
+  return updateRecord("category", updatedCategory, id);
+}
+
+function readCategoryById(id) {
+  return readRecordById("category", id);
+}
+
+function removeCategory(id) {
+  return removeRecord("category", id);
+}
+
+/**
+ * ||=====================================================||
+ * ||               CRUD for PRODUCT TABLE                ||
+ * ||=====================================================||
+ */
+function createProduct(newProduct) {
+  return createRecord("product", newProduct);
+}
+
+function readProductTable() {
+  return readRecords("product");
+}
+
+function readProductById(id) {
+  return readRecordById("product", id);
+}
+
+function updateProduct(updatedProduct, id) {
+  return updateRecord("product", updatedProduct, id);
+}
+
+/**
+ * Remove a product with cascade deletion
+ * ORDER_DETAIL declares `onDelete: { product_id: "cascade" }`, so removeRecord()
+ * uses removeWithCascade() which automatically deletes related records
+ * in junction tables (e.g., ORDER_DETAIL records for this product).
+ *
+ * This prevents orphaned records and maintains referential integrity.
+ */
+function removeProduct(id) {
+  return removeRecord("product", id);
+}
+
+/**
+ * ||=====================================================||
+ * ||              CRUD for CUSTOMER TABLE                ||
+ * ||=====================================================||
+ */
+
+function getRelatedCustomerRecords(
+  foreignKey,
+  field = "customer_fk",
+  fieldIndex = 2,
+  options = {},
+  useCache = true
+) {
+  const denied = authorizeTable_("order", "read");
+  if (denied) return JSON.stringify(denied);
+
+  const read = () =>
+    db.getRelatedRecords(foreignKey, orderTableConfig.tableName, field, fieldIndex, options, false);
+  const response = useCache
+    ? cachedRead_(["order"], "related", [foreignKey, field, fieldIndex, options], read)
+    : read();
+
+  return JSON.stringify(response);
+}
+
+function createCustomer(newCustomer) {
+  return createRecord("customer", newCustomer);
+}
+
+function readCustomerTable() {
+  return readRecords("customer");
+}
+
+function readCustomerById(id) {
+  return readRecordById("customer", id);
+}
+
+function updateCustomer(updatedCustomer, id) {
+  return updateRecord("customer", updatedCustomer, id);
+}
+
+function removeCustomer(id) {
+  return removeRecord("customer", id);
+}
+
+/**
+ * ||=====================================================||
+ * ||                 CRUD for ORDER TABLE                ||
+ * ||=====================================================||
+ */
+function createOrder(newOrder) {
+  return createRecord("order", newOrder);
+}
+
+function readOrderTable() {
+  return readRecords("order");
+}
+
+function readOrderById(id) {
+  return readRecordById("order", id);
+}
+
+function updateOrder(updatedOrder, id) {
+  return updateRecord("order", updatedOrder, id);
+}
+
+/**
+ * Remove an order with cascade deletion
+ * ORDER_DETAIL declares `onDelete: { order_id: "cascade" }`, so removeRecord()
+ * uses removeWithCascade() to automatically delete all ORDER_DETAIL
+ * records (junction table) associated with this order.
+ *
+ * This demonstrates how cascade deletion maintains data integrity
+ * when removing parent records in many-to-many relationships.
+ */
+function removeOrder(id) {
+  return removeRecord("order", id);
+}
+
+/**
+ * ||=====================================================||
+ * ||         CRUD for ORDER_DETAIL (Many-to-Many)        ||
+ * ||=====================================================||
+ * The 'orderDetailConfig' object was generated via (see registerTables_):
  * const responseCreation = db.createManyToManyTableConfig({ ... });
  * const orderDetailConfig = responseCreation.data;
  */
-function createOrderDetail(newOrderDetail) {
-  if (newOrderDetail.created_at) {
-    newOrderDetail.created_at = new Date(newOrderDetail.created_at);
-  }
-  // orderDetailConfig.fields => { created_at, order_id, product_id, quantity, ... }
-  const response = db.create(
+function createOrderDetail(newOrderDetail) {
+  // orderDetailConfig.fields => { created_at, order_id, product_id, quantity, ... }
+  return createRecord("order_detail", newOrderDetail);
+}
+
+function readOrderDetailTable() {
+  return readRecords("order_detail");
+}
+
+function readOrderDetailById(id) {
+  return readRecordById("order_detail", id);
+}
+
+function updateOrderDetail(updatedOrderDetail, id) {
+  return updateRecord("order_detail", updatedOrderDetail, id);
+}
+
+function removeOrderDetail(id) {
+  return removeRecord("order_detail", id);
+}
+
+/**
+ * Get all products (and their details) for a specific order
+ * This demonstrates getJunctionRecords() for many-to-many relationships.
+ *
+ * The function returns:
+ * - All products associated with the order
+ * - The junction record data (quantity, created_at, etc.)
+ * - Metadata about the relationship
+ *
+ * Example result:
+ * {
+ *   data: [
+ *     {
+ *       id: 5,
+ *       name: "Laptop",
+ *       price: 999,
+ *       relationship: { order_id: 1, product_id: 5, quantity: 2 }
+ *     }
+ *   ],
+ *   metadata: { junctionTable: "ORDER_DETAIL", ... }
+ * }
+ *
+ * @param {number} sourceId - The order ID
+ */
+function readOrderDetailFromOrder(sourceId) {
+  const denied = authorizeTable_("order_detail", "read");
+  if (denied) return JSON.stringify(denied);
+
+  const response = cachedRead_(["order_detail", "order", "product"], "junction:order", sourceId, () =>
+    db.getJunctionRecords(
+      orderDetailConfig.tableName,
+      orderTableConfig.tableName,
+      productTableConfig.tableName,
+      sourceId,
+      (options = {})
+    )
+  );
+
+  console.log(response.status);
+  console.log(response.message);
+  console.log(response.metadata);
+
+  for (record of response.data) {
+    console.log(record);
+  }
+
+  return JSON.stringify(response);
+}
+
+/**
+ * Get all orders (and their details) for a specific product
+ * This is the reverse direction of the many-to-many relationship.
+ *
+ * Simply swap the source and target table names to query
+ * from the other direction.
+ *
+ * @param {number} sourceId - The product ID
+ */
+function readOrderDetailFromProduct(sourceId) {
+  const denied = authorizeTable_("order_detail", "read");
+  if (denied) return JSON.stringify(denied);
+
+  const response = cachedRead_(["order_detail", "product", "order"], "junction:product", sourceId, () =>
+    db.getJunctionRecords(
+      orderDetailConfig.tableName,
+      productTableConfig.tableName,
+      orderTableConfig.tableName,
+      sourceId,
+      (options = {})
+    )
+  );
+
+  console.log(response.status);
+  console.log(response.message);
+  console.log(response.metadata);
+
+  for (record of response.data) {
+    console.log(record);
+  }
+
+  return JSON.stringify(response);
+}
+
+/**
+ * Creates an ORDER and all its ORDER_DETAIL lines in one call, under the
+ * script lock. Lines for the same product are merged (quantities added).
+ *
+ * Everything is checked before writing (customer and products must exist,
+ * quantities must be positive integers). If a line still fails while
+ * writing, the lines already written and the order are deleted again,
+ * straight from the sheets; rows that can't be deleted are listed in a 500.
+ *
+ * Example:
+ * createOrderWithDetails({ customer_fk: 3 }, [
+ *   { product_id: 5, quantity: 2 },
+ *   { product_id: 8, quantity: 1 }
+ * ])
+ * => { status: 200, data: { order: {...}, details: [{...}, {...}] } }
+ *
+ * @param {Object} order - { customer_fk, created_at? }
+ * @param {Array<Object>} lines - [{ product_id, quantity }]
+ */
+function createOrderWithDetails(order, lines, idempotencyKey) {
+  const denied = authorizeTable_("order_detail", "write");
+  if (denied) return JSON.stringify(denied);
+
+  const validation = validateOrderComposition_(order, lines);
+  if (validation.status !== 200) return JSON.stringify(validation);
+
+  return JSON.stringify(
+    withIdempotencyKey_(
+      idempotencyKey,
+      {
+        table: "order",
+        action: "create",
+        idOf: (response) => response.data.order.id,
+        read: readOrderWithDetails_,
+      },
+      () =>
+        withScriptLock_("create the order", () =>
+          writeOrderWithDetails_(order, validation.data)
+        )
+    )
+  );
+}
+
+function validateOrderComposition_(order, lines) {
+  if (!order || !isValidId_(order.customer_fk)) {
+    return { status: 400, error: "customer_fk is required" };
+  }
+  if (!Array.isArray(lines) || !lines.length) {
+    return { status: 400, error: "An order needs at least one product line" };
+  }
+
+  const errors = [];
+  const quantities = {};
+  lines.forEach((line, index) => {
+    const quantity = Number(line.quantity);
+    if (!isValidId_(line.product_id)) {
+      errors.push(`Line ${index + 1}: product_id is required`);
+    } else if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push(`Line ${index + 1}: quantity must be a positive integer`);
+    } else {
+      const productId = Number(line.product_id);
+      quantities[productId] = (quantities[productId] || 0) + quantity;
+    }
+  });
+
+  if (!recordExists_("customer", order.customer_fk)) {
+    errors.push(`Customer #${order.customer_fk} does not exist`);
+  }
+  Object.keys(quantities)
+    .filter((productId) => !recordExists_("product", productId))
+    .forEach((productId) => errors.push(`Product #${productId} does not exist`));
+
+  if (errors.length) {
+    return { status: 400, error: errors.join("; ") };
+  }
+
+  return {
+    status: 200,
+    data: Object.keys(quantities).map((productId) => ({
+      product_id: Number(productId),
+      quantity: quantities[productId],
+    })),
+  };
+}
+
+// The answer of createOrderWithDetails for an order already written
+function readOrderWithDetails_(orderId) {
+  const order = readRecordById_("order", orderId);
+  if (order.status !== 200) return order;
+  const details = readRecords_("order_detail");
+  if (details.status !== 200) return details;
+  return {
+    status: 200,
+    data: {
+      order: order.data,
+      details: details.data.filter((detail) => Number(detail.order_id) === Number(orderId)),
+    },
+  };
+}
+
+function writeOrderWithDetails_(order, lines) {
+  const createdAt = order.created_at || new Date();
+
+  const orderResponse = createRecord_("order", {
+    customer_fk: Number(order.customer_fk),
+    created_at: createdAt,
+  });
+  if (orderResponse.status !== 200) return orderResponse;
+  const newOrder = orderResponse.data;
+
+  const details = [];
+  for (const line of lines) {
+    const response = createRecord_("order_detail", {
+      order_id: newOrder.id,
+      product_id: line.product_id,
+      quantity: line.quantity,
+      created_at: createdAt,
+    });
+
+    if (response.status !== 200) {
+      const leftBehind = discardCreatedRecords_(
+        details
+          .map((detail) => ({ table: "order_detail", id: detail.id }))
+          .concat({ table: "order", id: newOrder.id })
+      );
+      return rolledBackError_(
+        response,
+        `Order rolled back, product #${line.product_id} failed: ${response.error}`,
+        leftBehind
+      );
+    }
+    details.push(response.data);
+  }
+
+  return {
+    status: 200,
+    data: { order: newOrder, details: details },
+    message: `Order #${newOrder.id} created with ${details.length} products`,
+  };
+}
+
+// ============================================================
+// AUDIT LOG
+// ============================================================
+
+/**
+ * Field-level diff between two versions of a record:
+ * { name: { from: "Old", to: "New" } }. `before` is null for creations and
+ * `after` is null for removals. Dates are compared and stored as ISO strings.
+ */
+function diffRecords_(config, before, after) {
+  const normalize = (value) => {
+    if (value === undefined || value === null || value === "") return null;
+    return value instanceof Date ? value.toISOString() : value;
+  };
+
+  const changes = {};
+  fieldNames_(config).forEach((field) => {
+    const from = normalize(before ? before[field] : null);
+    const to = normalize(after ? after[field] : null);
+    if (String(from) !== String(to)) changes[field] = { from: from, to: to };
+  });
+  return changes;
+}
+
+/**
+ * Appends one AUDIT_LOG row. Failures are logged and swallowed: the write
+ * being audited has already happened and must still be reported as done.
+ */
+function writeAuditEntry_(entity, recordId, action, before, after) {
+  try {
+    const response = db.create(
+      auditLogTableConfig.tableName,
+      {
+        table_name: entity.config.tableName,
+        record_id: Number(recordId),
+        action: action,
+        user: currentUserEmail_() || "unknown",
+        changes: JSON.stringify(diffRecords_(entity.config, before, after)),
+        created_at: new Date(),
+      },
+      fieldNames_(auditLogTableConfig)
+    );
+    if (response.status !== 200) {
+      console.error("Audit entry not written:", response.error);
+      return;
+    }
+    noteChange_(response.data.id);
+  } catch (error) {
+    console.error("Audit entry not written:", error);
+  }
+}
+
+/**
+ * writeAuditEntry_() for many records at once, appended in one call:
+ * `changes` is [{ id, before, after }].
+ */
+function writeAuditEntries_(entity, action, changes) {
+  if (!changes.length) return;
+  try {
+    const user = currentUserEmail_() || "unknown";
+    const entries = appendSheetRecords_(
+      auditLogTableConfig,
+      changes.map(({ id, before, after }) => ({
+        table_name: entity.config.tableName,
+        record_id: Number(id),
+        action: action,
+        user: user,
+        changes: JSON.stringify(diffRecords_(entity.config, before, after)),
+        created_at: new Date(),
+      }))
+    );
+    noteChange_(entries[entries.length - 1].id);
+  } catch (error) {
+    console.error("Audit entries not written:", error);
+  }
+}
+
+/**
+ * Records of every table pointing at one of `ids`, grouped per foreign key:
+ * [{ entity, field, onDelete, records }]. Each child table is read once.
+ */
+function readChildTables_(entity, ids) {
+  const wanted = new Set(ids.map(Number));
+  const reads = {};
+  return childTablesOf_(entity.key).map(({ key, field, onDelete }) => {
+    if (!reads[key]) {
+      const response = readRecords_(key);
+      if (response.status !== 200) {
+        throw new Error(`Could not read ${key} to check ${field}: ${response.error}`);
+      }
+      reads[key] = response.data;
+    }
+    return {
+      entity: ENTITY_REGISTRY[key],
+      field: field,
+      onDelete: onDelete,
+      records: reads[key].filter((record) => wanted.has(Number(record[field]))),
+    };
+  });
+}
+
+/**
+ * Audits the records of `before` that are gone from the table now, for
+ * library calls that remove rows without saying which.
+ */
+function auditRemovedRecords_(entity, before, action) {
+  const after = readRecords_(entity.key);
+  if (after.status !== 200) return;
+
+  const remaining = new Set(after.data.map((record) => Number(record.id)));
+  before
+    .filter((record) => !remaining.has(Number(record.id)))
+    .forEach((record) => writeAuditEntry_(entity, record.id, action, record, null));
+}
+
+/**
+ * Timeline of one record, newest first:
+ * [{ action: "update", user: "ana@...", created_at, changes: { name: { from, to } } }]
+ *
+ * @param {string} table - Registry key or table name
+ * @param {number} id
+ */
+function readAuditLog(table, id) {
+  const denied = authorizeTable_(table, "read");
+  if (denied) return JSON.stringify(denied);
+
+  const entity = getEntity_(table);
+  if (!entity) return JSON.stringify(unknownTable_(table));
+
+  const response = db.getAll(auditLogTableConfig.tableName, {}, false);
+  if (response.status !== 200) return JSON.stringify(response);
+
+  const entries = response.data
+    .filter(
+      (entry) =>
+        entry.table_name === entity.config.tableName &&
+        Number(entry.record_id) === Number(id)
+    )
+    .map((entry) => {
+      let changes = {};
+      try {
+        changes = JSON.parse(entry.changes || "{}");
+      } catch (error) {
+        console.warn(`Audit entry #${entry.id} has invalid changes JSON`);
+      }
+      return Object.assign({}, entry, { changes: changes });
+    })
+    .reverse();
+
+  return JSON.stringify({
+    status: 200,
+    data: entries,
+    metadata: { table: entity.config.tableName, id: Number(id) },
+  });
+}
+
+// ============================================================
+// HISTORY TABLES (PAPELERA) & RESTORE
+// ============================================================
+
+// Column names the history tables may use for the deletion timestamp
+const HISTORY_DELETED_AT_FIELDS = ["deleted_at", "deletedAt", "deleted_on", "removed_at"];
+
+// Children deleted within this window of their parent belong to its cascade group
+const CASCADE_GROUP_WINDOW_MS = 2 * 60 * 1000;
+
+function openSpreadsheet_() {
+  return SpreadsheetApp.openById(ENVIRONMENT.spreadsheetId);
+}
+
+/**
+ * Reads a sheet as records keyed by its header row. Each record carries its
+ * sheet row number in `_row` so it can be removed later.
+ * @returns {Array<Object>|null} null when the sheet does not exist
+ */
+function readSheetRecords_(sheetName) {
+  const sheet = openSpreadsheet_().getSheetByName(sheetName);
+  if (!sheet) return null;
+
+  const values = sheet.getDataRange().getValues();
+  if (values.length < 2) return [];
+
+  const headers = values[0].map(String);
+  return values.slice(1).map((row, index) => {
+    const record = { _row: index + 2 };
+    headers.forEach((header, column) => {
+      if (header) record[header] = row[column];
+    });
+    return record;
+  });
+}
+
+function deleteSheetRows_(sheetName, rowNumbers) {
+  const sheet = openSpreadsheet_().getSheetByName(sheetName);
+  // Bottom-up so earlier deletions don't shift the remaining row numbers
+  rowNumbers
+    .slice()
+    .sort((a, b) => b - a)
+    .forEach((rowNumber) => sheet.deleteRow(rowNumber));
+}
+
+/**
+ * Undoes the creates of a multi-step write that failed part-way: deletes the
+ * sheet rows outright, so nothing lands in the history tables and no
+ * "remove" audit entries are written.
+ * @param {Array<Object>} created - [{ table: registry key, id }]
+ * @returns {Array<string>} rows that could not be deleted ("ORDER #5: reason")
+ */
+function discardCreatedRecords_(created) {
+  const failed = [];
+  const idsByTable = {};
+  created.forEach(({ table, id }) => {
+    idsByTable[table] = (idsByTable[table] || []).concat(Number(id));
+  });
+
+  Object.entries(idsByTable).forEach(([table, ids]) => {
+    const entity = getEntity_(table);
+    const { tableName } = entity.config;
+    try {
+      const sheet = openSpreadsheet_().getSheetByName(tableName);
+      const rows = readSheetRecords_(tableName) || [];
+      const found = [];
+      ids.forEach((id) => {
+        const row = rows.find((candidate) => Number(candidate.id) === id);
+        if (row) {
+          found.push(row);
+        } else {
+          failed.push(`${tableName} #${id}: row not found`);
+        }
+      });
+      // Bottom-up so earlier deletions don't shift the remaining row numbers
+      found
+        .sort((a, b) => b._row - a._row)
+        .forEach((row) => {
+          try {
+            sheet.deleteRow(row._row);
+          } catch (error) {
+            failed.push(`${tableName} #${row.id}: ${error.message}`);
+          }
+        });
+    } catch (error) {
+      ids.forEach((id) => failed.push(`${tableName} #${id}: ${error.message}`));
+    }
+    invalidateTable_(entity.key);
+  });
+
+  if (failed.length) console.error("Rollback left rows behind:", failed.join("; "));
+  return failed;
+}
+
+/**
+ * Appends already validated records in one setValues() call instead of one
+ * create() per row. Ids continue from the largest one in the sheet or its
+ * history table, so rows moved to the history never get their id reused
+ * (the audit log, restores and the change feed go by id). Missing fields
+ * get their config default, as create() does. The caller holds the script
+ * lock and writes the audit entries.
+ * @param {Object} config - Table config
+ * @returns {Array<Object>} the records as written, with their ids
+ */
+function appendSheetRecords_(config, records) {
+  const sheet = openSpreadsheet_().getSheetByName(config.tableName);
+  if (!sheet) throw new Error(`Sheet ${config.tableName} not found`);
+  if (!records.length) return [];
+
+  const headers = sheetHeaders_(sheet);
+  const lastRow = sheet.getLastRow();
+  const historySheet = config.historyTableName
+    ? openSpreadsheet_().getSheetByName(config.historyTableName)
+    : null;
+  let lastId = Math.max(largestSheetId_(sheet), historySheet ? largestSheetId_(historySheet) : 0);
+
+  const written = records.map((record) => {
+    const stored = { id: ++lastId };
+    Object.entries(config.fields).forEach(([field, definition]) => {
+      const spec = typeof definition === "object" ? definition : {};
+      let value = record[field];
+      const missing = value === undefined || (value === null && spec.treatNullAsMissing);
+      if (missing && spec.default !== undefined) {
+        value = spec.default === "now" && fieldType_(definition) === "date" ? new Date() : spec.default;
+      }
+      stored[field] = value === undefined || value === null ? "" : value;
+    });
+    return stored;
+  });
+
+  sheet
+    .getRange(lastRow + 1, 1, written.length, headers.length)
+    .setValues(written.map((record) => headers.map((header) => (header in record ? record[header] : ""))));
+  return written;
+}
+
+/**
+ * Writes records read with readSheetRecords_() back to their rows (`_row`)
+ * in one setValues() call spanning the first to the last of them. Rows in
+ * between are written back as they are; the caller holds the script lock.
+ */
+function writeSheetRecords_(sheetName, records) {
+  const sheet = openSpreadsheet_().getSheetByName(sheetName);
+  const headers = sheetHeaders_(sheet);
+  const rowNumbers = records.map((record) => record._row);
+  const first = Math.min(...rowNumbers);
+  const last = Math.max(...rowNumbers);
+
+  const range = sheet.getRange(first, 1, last - first + 1, headers.length);
+  const values = range.getValues();
+  records.forEach((record) => {
+    values[record._row - first] = headers.map((header, column) =>
+      header in record ? record[header] : values[record._row - first][column]
+    );
+  });
+  range.setValues(values);
+}
+
+function largestSheetId_(sheet) {
+  const lastRow = sheet.getLastRow();
+  const idColumn = sheetHeaders_(sheet).indexOf("id") + 1;
+  if (lastRow < 2 || !idColumn) return 0;
+  return sheet
+    .getRange(2, idColumn, lastRow - 1, 1)
+    .getValues()
+    .reduce((max, [id]) => Math.max(max, Number(id) || 0), 0);
+}
+
+/**
+ * The error of a write rolled back with discardCreatedRecords_(): the
+ * original failure, plus a 500 listing the rows the rollback left behind.
+ */
+function rolledBackError_(response, message, leftBehind) {
+  if (!leftBehind.length) return { status: response.status, error: message };
+  return {
+    status: 500,
+    error: `${message}. The rollback could not remove ${leftBehind.join("; ")}`,
+  };
+}
+
+/**
+ * History rows of a table with a normalized `deleted_at` (null when the
+ * history table does not record deletion times).
+ */
+function readHistoryRecords_(entity) {
+  const rows = readSheetRecords_(entity.config.historyTableName);
+  if (!rows) return null;
+
+  return rows.map((row) => {
+    const field = HISTORY_DELETED_AT_FIELDS.find((name) => row[name]);
+    row.deleted_at = field ? row[field] : null;
+    return row;
+  });
+}
+
+function isSameDeletion_(parentRow, childRow) {
+  if (!parentRow.deleted_at || !childRow.deleted_at) return true;
+  const gap = Math.abs(
+    new Date(parentRow.deleted_at).getTime() - new Date(childRow.deleted_at).getTime()
+  );
+  return gap <= CASCADE_GROUP_WINDOW_MS;
+}
+
+/**
+ * History rows of child tables that were removed together with `parentRow`
+ * by removeWithCascade(), e.g. the ORDER_DETAIL rows of a deleted ORDER.
+ * @returns {Array<{entity: Object, field: string, rows: Array<Object>}>}
+ */
+function findCascadeGroup_(entity, parentRow, childHistories = {}) {
+  if (!entity.cascade) return [];
+
+  return childTablesOf_(entity.key)
+    .filter((child) => child.onDelete === "cascade")
+    .map(({ key, field }) => {
+      if (!childHistories[key]) {
+        childHistories[key] = readHistoryRecords_(ENTITY_REGISTRY[key]) || [];
+      }
+      return {
+        entity: ENTITY_REGISTRY[key],
+        field: field,
+        rows: childHistories[key].filter(
+          (row) => Number(row[field]) === Number(parentRow.id) && isSameDeletion_(parentRow, row)
+        ),
+      };
+    });
+}
+
+function recordExists_(key, id) {
+  return db.read(ENTITY_REGISTRY[key].config.tableName, Number(id)).status === 200;
+}
+
+/**
+ * Lists the foreign keys of `row` whose parent record no longer exists.
+ * `skipField` is the field pointing at a parent restored in the same call.
+ */
+function findMissingParents_(entity, row, skipField) {
+  return Object.entries(entity.foreignKeys || {})
+    .filter(([field]) => field !== skipField)
+    .filter(([field]) => row[field] !== "" && row[field] !== null && row[field] !== undefined)
+    .filter(([field, targetKey]) => !recordExists_(targetKey, row[field]))
+    .map(
+      ([field, targetKey]) =>
+        `${entity.config.tableName} #${row.id}: ${field} ${row[field]} does not exist in ${ENTITY_REGISTRY[targetKey].config.tableName}`
+    );
+}
+
+function pickFields_(config, row) {
+  const record = {};
+  fieldNames_(config).forEach((field) => {
+    if (row[field] !== undefined) record[field] = row[field];
+  });
+  return record;
+}
+
+/**
+ * Lists the soft-deleted rows of a table (its history table), newest first.
+ * Rows of cascading tables include `cascadeGroupSize`, the number of child
+ * rows (e.g. ORDER_DETAIL) deleted together with them.
+ *
+ * @param {string} table - Registry key or table name
+ */
+function readDeletedRecords(table) {
+  const denied = authorizeTable_(table, "read");
+  if (denied) return JSON.stringify(denied);
+
+  const entity = getEntity_(table);
+  if (!entity) return JSON.stringify(unknownTable_(table));
+
+  const rows = readHistoryRecords_(entity);
+  if (!rows) {
+    return JSON.stringify({
+      status: 404,
+      error: `History table ${entity.config.historyTableName} not found`,
+    });
+  }
+
+  const childHistories = {};
+  rows.forEach((row) => {
+    row.cascadeGroupSize = findCascadeGroup_(entity, row, childHistories).reduce(
+      (total, group) => total + group.rows.length,
+      0
+    );
+  });
+
+  return JSON.stringify({
+    status: 200,
+    data: rows.reverse(),
+    metadata: { historyTableName: entity.config.historyTableName },
+  });
+}
+
+/**
+ * Restores a soft-deleted record from its history table back into the live
+ * table, optionally with its cascade group (an ORDER plus the ORDER_DETAIL
+ * rows deleted with it).
+ *
+ * Restored records get new ids from create(); children of a cascade group are
+ * re-pointed at the new parent id. The restore is refused (409) when any
+ * parent foreign key (e.g. a product's category_fk) no longer exists. If a
+ * row fails midway, the rows already restored are deleted again, straight
+ * from the sheet; rows that can't be deleted are listed in a 500.
+ *
+ * @param {string} table - Registry key or table name
+ * @param {number} historyRow - Sheet row of the record in the history table (`_row`)
+ * @param {boolean} includeCascadeGroup - Also restore the children deleted with it
+ */
+function restoreDeletedRecord(table, historyRow, includeCascadeGroup = false) {
+  const denied = authorizeTable_(table, "write");
+  if (denied) return JSON.stringify(denied);
+
+  const entity = getEntity_(table);
+  if (!entity) return JSON.stringify(unknownTable_(table));
+
+  return JSON.stringify(
+    withScriptLock_("restore", () =>
+      restoreFromHistory_(entity, historyRow, includeCascadeGroup)
+    )
+  );
+}
+
+function restoreFromHistory_(entity, historyRow, includeCascadeGroup) {
+  const { tableName, historyTableName } = entity.config;
+  const history = readHistoryRecords_(entity);
+  if (!history) {
+    return { status: 404, error: `History table ${historyTableName} not found` };
+  }
+
+  const parentRow = history.find((row) => row._row === Number(historyRow));
+  if (!parentRow) {
+    return {
+      status: 404,
+      error: `Row ${historyRow} no longer exists in ${historyTableName}; reload the list`,
+    };
+  }
+
+  const group = includeCascadeGroup ? findCascadeGroup_(entity, parentRow) : [];
+
+  const missingParents = findMissingParents_(entity, parentRow, null);
+  group.forEach(({ entity: childEntity, field, rows }) => {
+    rows.forEach((row) => {
+      missingParents.push(...findMissingParents_(childEntity, row, field));
+    });
+  });
+  if (missingParents.length) {
+    return {
+      status: 409,
+      error: `Cannot restore, parent records are missing: ${missingParents.join("; ")}`,
+    };
+  }
+
+  const restored = [];
+
+  const parentResponse = createRecord_(entity.key, pickFields_(entity.config, parentRow), "restore");
+  if (parentResponse.status !== 200) return parentResponse;
+  const newParentId = parentResponse.data.id;
+  restored.push({ table: entity.key, oldId: parentRow.id, newId: newParentId });
+
+  for (const { entity: childEntity, field, rows } of group) {
+    for (const row of rows) {
+      const record = pickFields_(childEntity.config, row);
+      record[field] = newParentId;
+
+      const response = createRecord_(childEntity.key, record, "restore");
+      if (response.status !== 200) {
+        const leftBehind = discardCreatedRecords_(restored.map((item) => ({ table: item.table, id: item.newId })));
+        return rolledBackError_(
+          response,
+          `Restore rolled back, ${childEntity.config.tableName} #${row.id} failed: ${response.error}`,
+          leftBehind
+        );
+      }
+      restored.push({ table: childEntity.key, oldId: row.id, newId: response.data.id });
+    }
+  }
+
+  deleteSheetRows_(historyTableName, [parentRow._row]);
+  group.forEach(({ entity: childEntity, rows }) => {
+    deleteSheetRows_(
+      childEntity.config.historyTableName,
+      rows.map((row) => row._row)
+    );
+  });
+
+  return {
+    status: 200,
+    data: { restored: restored },
+    message: `Restored ${tableName} #${parentRow.id} as #${newParentId}` +
+      (restored.length > 1 ? ` with ${restored.length - 1} related rows` : ""),
+  };
+}
+
+// ============================================================
+// CSV IMPORT
+// ============================================================
+
+// Rows written per setValues() call when an import is committed
+const IMPORT_BATCH_ROWS = 200;
+
+/**
+ * Dry-runs a CSV import: maps the CSV columns to the table fields, converts
+ * and type-checks every row the way create() would and checks foreign keys
+ * against the existing ids. Nothing is written.
+ *
+ * Columns are matched by field name or UI label ("category_fk" or
+ * "Categoría"); pass `columnMap` ({ "CSV header": "field" }, "" to ignore a
+ * column) to override the guesses. Empty date fields are set to the import
+ * time, `id` columns are ignored (ids are always generated).
+ *
+ * Response data:
+ * {
+ *   columns: [{ header: "Precio", field: "price" }, ...],
+ *   rows: [{ line: 2, valid: false, record: {...}, errors: ["price: \"abc\" is not a number"] }],
+ *   summary: { total: 10, valid: 9, rejected: 1 }
+ * }
+ *
+ * @param {string} table - Registry key or table name
+ * @param {string} csvText - CSV with a header row ("," or ";" separated)
+ * @param {Object} [columnMap] - CSV header => field name
+ */
+function previewImport(table, csvText, columnMap = null) {
+  const denied = authorizeTable_(table, "write");
+  if (denied) return JSON.stringify(denied);
+
+  const entity = getEntity_(table);
+  if (!entity) return JSON.stringify(unknownTable_(table));
+
+  const csvRows = readImportCsv_(csvText);
+  if (!Array.isArray(csvRows)) return JSON.stringify(csvRows);
+
+  try {
+    return JSON.stringify(buildImportReport_(entity, csvRows, columnMap));
+  } catch (error) {
+    console.error("Import preview failed:", error);
+    return JSON.stringify({ status: 400, error: error.message });
+  }
+}
+
+/**
+ * Imports the rows of a CSV that pass validation. The CSV is validated again
+ * under the script lock (foreign keys may have changed since the preview);
+ * rejected rows are skipped. Rows are appended IMPORT_BATCH_ROWS at a time
+ * with one audit entry each; if a batch fails, the rows already written are
+ * deleted again, straight from the sheet.
+ *
+ * @param {string} table - Registry key or table name
+ * @param {string} csvText - The same CSV that was previewed
+ * @param {Object} [columnMap] - The column mapping used in the preview
+ */
+function commitImport(table, csvText, columnMap = null) {
+  const denied = authorizeTable_(table, "write");
+  if (denied) return JSON.stringify(denied);
+
+  const entity = getEntity_(table);
+  if (!entity) return JSON.stringify(unknownTable_(table));
+  const csvRows = readImportCsv_(csvText);
+  if (!Array.isArray(csvRows)) return JSON.stringify(csvRows);
+
+  return JSON.stringify(
+    withScriptLock_("import", () => {
+      const report = buildImportReport_(entity, csvRows, columnMap);
+      if (report.status !== 200) return report;
+
+      const validRows = report.data.rows.filter((row) => row.valid);
+      if (!validRows.length) {
+        return { status: 400, error: "No valid rows to import" };
+      }
+
+      const created = [];
+      for (let start = 0; start < validRows.length; start += IMPORT_BATCH_ROWS) {
+        const batch = validRows.slice(start, start + IMPORT_BATCH_ROWS);
+        try {
+          created.push(...appendSheetRecords_(entity.config, batch.map((row) => row.record)));
+        } catch (error) {
+          const leftBehind = discardCreatedRecords_(created.map((record) => ({ table: entity.key, id: record.id })));
+          return rolledBackError_(
+            { status: 500 },
+            `Import rolled back, lines ${batch[0].line}-${batch[batch.length - 1].line} failed: ${error.message}`,
+            leftBehind
+          );
+        }
+      }
+      writeAuditEntries_(entity, "import", created.map((record) => ({ id: record.id, before: null, after: record })));
+      invalidateTable_(entity.key);
+
+      const createdIds = created.map((record) => record.id);
+      return {
+        status: 200,
+        data: { created: createdIds, summary: report.data.summary },
+        message: `Imported ${createdIds.length} ${entity.config.tableName} rows` +
+          (report.data.summary.rejected ? `, ${report.data.summary.rejected} rejected` : ""),
+      };
+    })
+  );
+}
+
+/**
+ * The rows of an import CSV, or a 400 response when it can't be parsed or
+ * has no data rows. Checked before the script lock is taken.
+ */
+function readImportCsv_(csvText) {
+  let csvRows;
+  try {
+    csvRows = parseCsv_(csvText);
+  } catch (error) {
+    return { status: 400, error: `The CSV could not be read: ${error.message}` };
+  }
+  if (csvRows.length < 2) {
+    return { status: 400, error: "The CSV needs a header row and at least one data row" };
+  }
+  return csvRows;
+}
+
+function buildImportReport_(entity, csvRows, columnMap) {
+  const headers = csvRows[0].map((header) => String(header).trim());
+  const columns = headers.map((header) => ({
+    header: header,
+    field: columnMap && header in columnMap
+      ? columnMap[header] || null
+      : guessImportField_(entity, header),
+  }));
+
+  const foreignKeyIds = readForeignKeyIds_(entity);
+  // Rows accepted so far count for `unique`, so duplicates inside the CSV are caught too
+  const acceptedRecords = readUniqueCheckRecords_(entity);
+  const rows = csvRows
+    .slice(1)
+    .map((values, index) => ({ values: values, line: index + 2 }))
+    .filter(({ values }) => values.some((value) => String(value).trim() !== ""))
+    .map(({ values, line }) => {
+      const data = {};
+      columns.forEach((column, index) => {
+        if (column.field) data[column.field] = String(values[index] || "").trim();
+      });
+      const { record, errors } = validateImportRecord_(entity, data, foreignKeyIds, acceptedRecords);
+      if (!errors.length) acceptedRecords.push(record);
+      return { line: line, valid: errors.length === 0, record: record, errors: errors };
+    });
+
+  const valid = rows.filter((row) => row.valid).length;
+  return {
+    status: 200,
+    data: {
+      columns: columns,
+      rows: rows,
+      summary: { total: rows.length, valid: valid, rejected: rows.length - valid },
+    },
+  };
+}
+
+/**
+ * Parses CSV text, using ";" as separator when the header row has more
+ * semicolons than commas (spreadsheets exported with a Spanish locale).
+ */
+function parseCsv_(csvText) {
+  const text = String(csvText || "").replace(/^\uFEFF/, "").trim();
+  if (!text) return [];
+
+  const headerLine = text.split(/\r?\n/)[0];
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  const commas = (headerLine.match(/,/g) || []).length;
+
+  return semicolons > commas ? Utilities.parseCsv(text, ";") : Utilities.parseCsv(text);
+}
+
+function guessImportField_(entity, header) {
+  const normalized = header.toLowerCase().replace(/\s+/g, "_");
+  const fieldLabels = (entity.ui && entity.ui.fieldLabels) || {};
+
+  return (
+    fieldNames_(entity.config).find(
+      (field) =>
+        field === normalized ||
+        String(fieldLabels[field] || "").toLowerCase() === header.toLowerCase()
+    ) || null
+  );
+}
+
+/**
+ * { field: Set of existing ids } for every foreign key of the table.
+ */
+function readForeignKeyIds_(entity) {
+  const ids = {};
+  Object.entries(entity.foreignKeys || {}).forEach(([field, targetKey]) => {
+    const response = readRecords_(targetKey);
+    if (response.status !== 200) {
+      throw new Error(`Could not read ${targetKey} to check ${field}: ${response.error}`);
+    }
+    ids[field] = new Set(response.data.map((record) => Number(record.id)));
+  });
+  return ids;
+}
+
+/**
+ * Records the `unique` rules of the table compare against (empty when the
+ * table has none, so nothing is read).
+ */
+function readUniqueCheckRecords_(entity) {
+  const hasUnique = Object.values(entity.rules || {}).some((rule) => rule.unique);
+  if (!hasUnique) return [];
+
+  const response = readRecords_(entity.key);
+  if (response.status !== 200) {
+    throw new Error(`Could not read ${entity.config.tableName}: ${response.error}`);
+  }
+  return response.data;
+}
+
+/**
+ * Converts a row with convertRecordTypes_ (as createRecord_ does) and reports
+ * every value the schema or the entity rules would reject, plus foreign keys
+ * that don't exist.
+ */
+function validateImportRecord_(entity, data, foreignKeyIds, existingRecords) {
+  const errors = [];
+  const record = convertRecordTypes_(entity.config, data);
+
+  Object.entries(entity.config.fields).forEach(([field, definition]) => {
+    const value = record[field];
+    const isEmpty = value === undefined || value === null || value === "";
+    const type = fieldType_(definition);
+
+    if (isEmpty) {
+      if (type === "date") {
+        record[field] = new Date();
+      } else if (foreignKeyIds[field]) {
+        errors.push(`${field}: is required`);
+      } else {
+        delete record[field];
+      }
+      return;
+    }
+
+    const typeError = fieldTypeError_(definition, value, data[field]);
+    if (typeError) {
+      errors.push(`${field}: ${typeError}`);
+    } else if (foreignKeyIds[field] && !foreignKeyIds[field].has(value)) {
+      const target = ENTITY_REGISTRY[entity.foreignKeys[field]].config.tableName;
+      errors.push(`${field}: ${value} does not exist in ${target}`);
+    }
+  });
+
+  const reported = new Set(errors.map((error) => error.split(":")[0]));
+  Object.entries(validateRecord_(entity, record, { existingRecords, foreignKeyIds }))
+    .filter(([field]) => !reported.has(field))
+    .forEach(([field, message]) => errors.push(`${field}: ${message}`));
+
+  return { record: record, errors: errors };
+}
+
+// ============================================================
+// BULK ACTIONS
+// ============================================================
+
+/**
+ * Bulk delete, edit and export for the rows selected in a module table.
+ * Each runs as one server call over a list of ids and answers per row,
+ * so one failing row (a restricted delete, an invalid value) doesn't stop
+ * the others:
+ *
+ * {
+ *   status: 200,
+ *   data: {
+ *     results: [{ id: 4, status: 200 }, { id: 7, status: 409, error: "Cannot remove ..." }],
+ *     succeeded: 1,
+ *     failed: 1
+ *   },
+ *   message: "Removed 1 of 2 PRODUCT rows"
+ * }
+ *
+ * Deletes go through removeRecords_, so cascade rules, the audit log and
+ * cache invalidation work as for single rows. Edits are written in one
+ * batch (see bulkUpdateRecords).
+ */
+
+// Rows per bulk call, so one call stays well within the execution time limit
+const BULK_MAX_ROWS = 500;
+
+/**
+ * Removes the rows with the given ids, applying the onDelete policy of the
+ * tables pointing at them (see removeRecords_): rows still used by
+ * "restrict" children fail with 409, "cascade" children go with their row.
+ * The tables pointing at this one are read once for the whole selection.
+ *
+ * Example:
+ * bulkRemoveRecords("category", [3, 4])
+ *
+ * @param {string} table - Registry key or table name
+ * @param {Array<number>} ids - Ids of the rows to remove
+ */
+function bulkRemoveRecords(table, ids) {
+  const denied = authorizeTable_(table, "write");
+  if (denied) return JSON.stringify(denied);
+
+  const entity = getEntity_(table);
+  if (!entity) return JSON.stringify(unknownTable_(table));
+  const rowIds = bulkIds_(ids);
+  if (!Array.isArray(rowIds)) return JSON.stringify(rowIds);
+
+  return JSON.stringify(
+    withScriptLock_("bulk delete", () => {
+      const responses = removeRecords_(entity, rowIds);
+      return bulkResponse_(entity, "Removed", rowIds.map((id, index) => bulkRowResult_(id, responses[index])));
+    })
+  );
+}
+
+/**
+ * Changes the same fields on every row with the given ids. A field's
+ * change is either the new value or, for number fields, an adjustment of
+ * the current value:
+ *
+ * - { category_fk: 3 } - moves every row to category 3
+ * - { price: { percent: 10 } } - raises each price by 10% (-10 lowers it)
+ * - { price: { add: -5 } } - takes 5 off each price
+ *
+ * Adjusted values are rounded to 2 decimals (whole numbers for `integer`
+ * rules). New values are type-checked and validated once before any row is
+ * written (400 with `errors` per field); rows that then fail (an adjusted
+ * value breaking a rule, a `unique` clash) are reported in the results.
+ *
+ * The rows are checked in memory and written with one setValues() call,
+ * with one batch of audit entries, instead of one update() per row.
+ *
+ * Example:
+ * bulkUpdateRecords("product", [1, 2, 5], { price: { percent: -15 } })
+ *
+ * @param {string} table - Registry key or table name
+ * @param {Array<number>} ids - Ids of the rows to update
+ * @param {Object} changes - { field: value | { percent: n } | { add: n } }
+ */
+function bulkUpdateRecords(table, ids, changes) {
+  const denied = authorizeTable_(table, "write");
+  if (denied) return JSON.stringify(denied);
+
+  const entity = getEntity_(table);
+  if (!entity) return JSON.stringify(unknownTable_(table));
+  const rowIds = bulkIds_(ids);
+  if (!Array.isArray(rowIds)) return JSON.stringify(rowIds);
+
+  const { tableName } = entity.config;
+  const rules = entity.rules || {};
+
+  return JSON.stringify(
+    withScriptLock_("bulk edit", () => {
+      // Planned under the lock, so a referenced row can't be removed before the write
+      const plan = planBulkChanges_(entity, changes);
+      if (plan.status) return plan;
+      // New values were checked once by the plan; adjusted values and `unique` depend on the row
+      const rowFields = Object.keys(plan.adjustments).concat(
+        Object.keys(plan.values).filter((field) => (rules[field] || {}).unique)
+      );
+
+      const rows = readSheetRecords_(tableName);
+      if (!rows) return { status: 404, error: `Sheet ${tableName} not found` };
+      const rowsById = new Map(rows.map((row) => [Number(row.id), row]));
+
+      const changed = [];
+      const results = rowIds.map((id) => {
+        const row = rowsById.get(id);
+        if (!row) {
+          return { id: id, status: 404, error: `${tableName} #${id} not found` };
+        }
+        const data = Object.assign({}, plan.values);
+        for (const [field, adjustment] of Object.entries(plan.adjustments)) {
+          const value = adjustNumber_(row[field], adjustment, rules[field]);
+          if (value === null) {
+            return { id: id, status: 400, error: `${field} is empty, it can't be adjusted` };
+          }
+          data[field] = value;
+        }
+
+        // `rows` holds the values of the rows already changed, so `unique` sees them
+        const errors = validateRecord_(entity, data, { id: id, fields: rowFields, existingRecords: rows });
+        if (Object.keys(errors).length) return bulkRowResult_(id, validationError_(entity, errors));
+
+        changed.push({ id: id, before: Object.assign({}, row), after: Object.assign(row, data) });
+        return { id: id, status: 200 };
+      });
+
+      if (changed.length) {
+        writeSheetRecords_(tableName, changed.map((change) => change.after));
+        writeAuditEntries_(entity, "update", changed);
+        invalidateTable_(entity.key);
+      }
+      return bulkResponse_(entity, "Updated", results);
+    })
+  );
+}
+
+/**
+ * Reads the rows with the given ids in the order given, for exporting a
+ * selection. Ids that no longer exist are reported as 404 in the results.
+ *
+ * Example:
+ * bulkReadRecords("customer", [2, 9])
+ * => { status: 200, data: { records: [{ id: 2, ... }], results: [...], succeeded: 1, failed: 1 } }
+ *
+ * @param {string} table - Registry key or table name
+ * @param {Array<number>} ids - Ids of the rows to read
+ */
+function bulkReadRecords(table, ids) {
+  const denied = authorizeTable_(table, "read");
+  if (denied) return JSON.stringify(denied);
+
+  const entity = getEntity_(table);
+  if (!entity) return JSON.stringify(unknownTable_(table));
+  const rowIds = bulkIds_(ids);
+  if (!Array.isArray(rowIds)) return JSON.stringify(rowIds);
+
+  const response = readRecords_(entity.key, {}, true);
+  if (response.status !== 200) return JSON.stringify(response);
+  const recordsById = new Map(response.data.map((record) => [Number(record.id), record]));
+
+  const records = rowIds.filter((id) => recordsById.has(id)).map((id) => recordsById.get(id));
+  const results = rowIds.map((id) =>
+    recordsById.has(id)
+      ? { id: id, status: 200 }
+      : { id: id, status: 404, error: `${entity.config.tableName} #${id} not found` }
+  );
+  const bulk = bulkResponse_(entity, "Read", results);
+  bulk.data.records = records;
+  return JSON.stringify(bulk);
+}
+
+/**
+ * Unique numeric ids of a bulk call, or a 400 response.
+ */
+function bulkIds_(ids) {
+  const rowIds = Array.from(new Set((Array.isArray(ids) ? ids : []).map(Number)));
+  if (!rowIds.length) return { status: 400, error: "No rows selected" };
+  if (rowIds.some((id) => !Number.isInteger(id) || id < 1)) {
+    return { status: 400, error: "Row ids must be positive whole numbers" };
+  }
+  if (rowIds.length > BULK_MAX_ROWS) {
+    return { status: 400, error: `At most ${BULK_MAX_ROWS} rows per bulk action, got ${rowIds.length}` };
+  }
+  return rowIds;
+}
+
+/**
+ * Splits bulk edit changes into new values (converted and validated once)
+ * and number adjustments. Returns { values, adjustments } or a 400 response.
+ */
+function planBulkChanges_(entity, changes) {
+  const { fields } = entity.config;
+  const entries = Object.entries(changes || {});
+  if (!entries.length) return { status: 400, error: "No fields to change" };
+
+  const values = {};
+  const adjustments = {};
+  for (const [field, change] of entries) {
+    if (!(field in fields)) {
+      return { status: 400, error: `${entity.config.tableName} has no field ${field}` };
+    }
+    const isAdjustment = change !== null && typeof change === "object" && !(change instanceof Date);
+    if (!isAdjustment) {
+      values[field] = change;
+      continue;
+    }
+
+    const operation = ["percent", "add"].find((name) => name in change);
+    const amount = operation ? Number(change[operation]) : NaN;
+    if (fieldType_(fields[field]) !== "number" || (entity.foreignKeys || {})[field]) {
+      return { status: 400, error: `${field} is not a number field, it can only be set` };
+    }
+    if (!isFinite(amount)) {
+      return { status: 400, error: `${field}: use { percent: n } or { add: n } with a number` };
+    }
+    adjustments[field] = { operation: operation, amount: amount };
+  }
+
+  const record = convertRecordTypes_(entity.config, values);
+  // `unique` is checked per row by bulkUpdateRecords; here every value is new
+  const errors = validateRecord_(entity, record, { fields: Object.keys(values), existingRecords: [] });
+  // The rows are written without update(), which would check the types
+  Object.keys(values)
+    .filter((field) => !errors[field] && ![undefined, null, ""].includes(record[field]))
+    .forEach((field) => {
+      const typeError = fieldTypeError_(fields[field], record[field], values[field]);
+      if (typeError) errors[field] = typeError;
+    });
+  if (Object.keys(errors).length) return validationError_(entity, errors);
+
+  return { values: record, adjustments: adjustments };
+}
+
+/**
+ * Applies a bulk { operation, amount } to a number. Null when there is no
+ * number to adjust.
+ */
+function adjustNumber_(value, adjustment, rule = {}) {
+  if (value === undefined || value === null || value === "" || isNaN(Number(value))) return null;
+
+  const adjusted = adjustment.operation === "percent"
+    ? Number(value) * (1 + adjustment.amount / 100)
+    : Number(value) + adjustment.amount;
+  return rule.integer ? Math.round(adjusted) : Math.round(adjusted * 100) / 100;
+}
+
+function bulkRowResult_(id, response) {
+  return response.status === 200
+    ? { id: id, status: 200 }
+    : { id: id, status: response.status, error: response.error };
+}
+
+function bulkResponse_(entity, verb, results) {
+  const succeeded = results.filter((result) => result.status === 200).length;
+  return {
+    status: 200,
+    data: { results: results, succeeded: succeeded, failed: results.length - succeeded },
+    message: `${verb} ${succeeded} of ${results.length} ${entity.config.tableName} rows`,
+  };
+}
+
+// ============================================================
+// REPORTS
+// ============================================================
+
+/**
+ * Total of a single order: sum of ORDER_DETAIL quantity × PRODUCT price,
+ * read through getJunctionRecords().
+ *
+ * @param {number} orderId
+ * @returns {string} JSON { status, data: { id, lines, units, total } }
+ */
+function getOrderTotal(orderId) {
+  const denied = authorizeTable_("order_detail", "read");
+  if (denied) return JSON.stringify(denied);
+
+  const response = readOrderLines_(orderId);
+  if (response.status !== 200) return JSON.stringify(response);
+  return JSON.stringify({
+    status: 200,
+    data: Object.assign({ id: Number(orderId) }, summarizeOrderLines_(response.data)),
+  });
+}
+
+/**
+ * Sales report for the orders created in a date range (both ends
+ * inclusive, "YYYY-MM-DD"; leave empty for no limit):
+ * - orders:     total of each order
+ * - customers:  revenue per customer (ORDER.customer_fk)
+ * - categories: revenue and units per category (PRODUCT.category_fk)
+ *
+ * Lines whose product has been deleted are not counted, since
+ * getJunctionRecords() only joins live products.
+ *
+ * @param {Object} filters - { from, to }
+ */
+function getSalesReport(filters = {}) {
+  const denied = authorize_("viewer");
+  if (denied) return JSON.stringify(denied);
+
+  try {
+    return JSON.stringify(buildSalesReport_(filters));
+  } catch (error) {
+    console.error("Sales report failed:", error);
+    return JSON.stringify({ status: 500, error: error.message });
+  }
+}
+
+function readOrderLines_(orderId) {
+  return db.getJunctionRecords(
+    orderDetailConfig.tableName,
+    orderTableConfig.tableName,
+    productTableConfig.tableName,
+    Number(orderId),
+    {}
+  );
+}
+
+function summarizeOrderLines_(products) {
+  return products.reduce(
+    (summary, product) => {
+      const quantity = Number(product.relationship.quantity) || 0;
+      summary.lines += 1;
+      summary.units += quantity;
+      summary.total += quantity * (Number(product.price) || 0);
+      return summary;
+    },
+    { lines: 0, units: 0, total: 0 }
+  );
+}
+
+/**
+ * Parses the report date range; `to` covers its whole day.
+ */
+function reportDateRange_(filters) {
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    throw new Error("Invalid date range, use YYYY-MM-DD");
+  }
+  return { from: from, to: to };
+}
+
+function isInDateRange_(value, range) {
+  if (!range.from && !range.to) return true;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return false;
+  return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+}
+
+function readRecordsById_(key) {
+  const response = readRecords_(key);
+  if (response.status !== 200) {
+    throw new Error(`Could not read ${key}: ${response.error}`);
+  }
+  const byId = {};
+  response.data.forEach((record) => {
+    byId[record.id] = record;
+  });
+  return byId;
+}
+
+function buildSalesReport_(filters) {
+  const range = reportDateRange_(filters);
+  const customers = readRecordsById_("customer");
+  const categories = readRecordsById_("category");
+  const orders = Object.values(readRecordsById_("order")).filter((order) =>
+    isInDateRange_(order.created_at, range)
+  );
+
+  const customerLabel = (id) =>
+    customers[id] ? `${customers[id].first_name} ${customers[id].last_name}` : `#${id} (eliminado)`;
+  const categoryLabel = (id) =>
+    categories[id] ? categories[id].name : `#${id} (eliminada)`;
+
+  const byCustomer = {};
+  const byCategory = {};
+  const orderTotals = orders.map((order) => {
+    const lines = readOrderLines_(order.id);
+    const products = lines.status === 200 ? lines.data : [];
+    const summary = summarizeOrderLines_(products);
+
+    const customer = byCustomer[order.customer_fk] || {
+      customer_fk: order.customer_fk,
+      customer: customerLabel(order.customer_fk),
+      orders: 0,
+      total: 0,
+    };
+    customer.orders += 1;
+    customer.total += summary.total;
+    byCustomer[order.customer_fk] = customer;
+
+    products.forEach((product) => {
+      const quantity = Number(product.relationship.quantity) || 0;
+      const category = byCategory[product.category_fk] || {
+        category_fk: product.category_fk,
+        category: categoryLabel(product.category_fk),
+        units: 0,
+        revenue: 0,
+      };
+      category.units += quantity;
+      category.revenue += quantity * (Number(product.price) || 0);
+      byCategory[product.category_fk] = category;
+    });
+
+    return Object.assign(
+      {
+        id: order.id,
+        customer_fk: order.customer_fk,
+        customer: customerLabel(order.customer_fk),
+        created_at: order.created_at,
+      },
+      summary
+    );
+  });
+
+  const byRevenue = (field) => (a, b) => b[field] - a[field];
+  return {
+    status: 200,
+    data: {
+      orders: orderTotals.sort(byRevenue("total")),
+      customers: Object.values(byCustomer).sort(byRevenue("total")),
+      categories: Object.values(byCategory).sort(byRevenue("revenue")),
+      summary: {
+        orders: orderTotals.length,
+        units: orderTotals.reduce((sum, order) => sum + order.units, 0),
+        revenue: orderTotals.reduce((sum, order) => sum + order.total, 0),
+      },
+    },
+    metadata: { from: filters.from || null, to: filters.to || null },
+  };
+}
+
+// ============================================================
+// READ CACHE
+// ============================================================
+
+// Upper bound for edits made straight in the spreadsheet, which don't
+// invalidate anything; writes through the app drop the entries at once
+const READ_CACHE_SECONDS = 5 * 60;
+// Outlives every read entry (CacheService caps it at 6 hours)
+const TABLE_GENERATION_SECONDS = 6 * 60 * 60;
+
+/**
+ * Serves a read from the script cache. Entries are keyed by the current
+ * generation of every table the result reads from, so invalidateTable_()
+ * only has to give a table a new generation: older entries are never hit
+ * again and expire on their own.
+ *
+ * Example:
+ * cachedRead_(["product"], "related", [3, "category_fk"], () => db.getRelatedRecords(...))
+ * => { status: 200, data: [...], cached: true }
+ *
+ * @param {Array<string>} tables - Registry keys the result depends on
+ * @param {string} name - Kind of read ("records", "page", "related", ...)
+ * @param {*} args - Anything else that changes the result (options, ids)
+ * @param {Function} read - Returns the response when it isn't cached
+ * @returns {Object} The response with `cached` (true when it came from the cache)
+ */
+function cachedRead_(tables, name, args, read) {
+  const cache = environmentCache_();
+  const digest = Utilities.base64EncodeWebSafe(
+    Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(args === undefined ? null : args))
+  );
+  const cacheKey = `read:${name}:${tables.map(tableGeneration_).join(".")}:${digest}`;
+  const stored = cache.get(cacheKey);
+  if (stored) return Object.assign(JSON.parse(stored), { cached: true });
+
+  const response = read();
+  if (response.status === 200) {
+    try {
+      cache.put(cacheKey, JSON.stringify(response), READ_CACHE_SECONDS);
+    } catch (error) {
+      // Over the cache value size limit: read from the sheet every time
+      console.warn(`${name} read of ${tables.join(", ")} not cached:`, error.message);
+    }
+  }
+  return Object.assign({}, response, { cached: false });
+}
+
+/**
+ * Current generation of a table. Generations are random tokens, not
+ * counters, so two writers bumping at the same time can't end up on a
+ * generation an older entry was stored under. An evicted generation just
+ * starts a new one.
+ */
+function tableGeneration_(key) {
+  const cache = environmentCache_();
+  const cacheKey = `generation:${key}`;
+  return cache.get(cacheKey) || bumpTableGeneration_(key);
+}
+
+function bumpTableGeneration_(key) {
+  const generation = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  environmentCache_().put(`generation:${key}`, generation, TABLE_GENERATION_SECONDS);
+  return generation;
+}
+
+/**
+ * Call after every write to a table: drops the cached reads of `key` and of
+ * the tables pointing at it (a category change also drops product reads,
+ * whose foreign key dropdowns and relationship views show categories) and
+ * the search indexes that show its labels.
+ */
+function invalidateTable_(key) {
+  [key].concat(childTablesOf_(key).map((child) => child.key)).forEach(bumpTableGeneration_);
+  invalidateSearchIndex_(key);
+}
+
+// ============================================================
+// CHANGE FEED
+// ============================================================
+
+// Newest AUDIT_LOG id, kept so polls without news don't open the spreadsheet
+const CHANGE_FEED_CURSOR_KEY = "change-feed:cursor";
+const CHANGE_FEED_CURSOR_SECONDS = 6 * 60 * 60;
+// AUDIT_LOG rows read per poll; a client further behind reloads instead
+const CHANGE_FEED_MAX_ROWS = 200;
+// Actions that rewrite whole tables: clients reload instead of patching rows
+const CHANGE_FEED_RESET_ACTIONS = ["snapshot_restore", "environment_clone"];
+
+// Audit actions by the kind of change they are ("cascade_remove (ORDER #3)" => delete)
+const CHANGE_TYPES = {
+  create: "insert",
+  restore: "insert",
+  import: "insert",
+  upsert_create: "insert",
+  update: "update",
+  upsert_update: "update",
+  set_null: "update",
+  integrity_clear: "update",
+  remove: "delete",
+  cascade_remove: "delete",
+  junction_remove: "delete",
+  integrity_remove: "delete",
+};
+
+/**
+ * Change feed for open clients, built on AUDIT_LOG: every write already
+ * appends an entry there, so the entries after the client's cursor (the
+ * last audit id it has seen) are the changes it hasn't applied yet.
+ *
+ * Polls are cheap: while nothing was written after `cursor`, the answer
+ * comes from the script cache without opening the spreadsheet. Several
+ * changes to one record are folded into one; inserts and updates carry the
+ * current record. `mine` marks the caller's own writes.
+ *
+ * Example: getTableChanges(120)
+ * => { status: 200, data: { cursor: 123, reset: false, environment: "prod", changes: [
+ *      { table: "product", id: 8, type: "insert", mine: false, record: {...} },
+ *      { table: "product", id: 3, type: "delete", mine: true, record: null }
+ *    ] } }
+ *
+ * @param {number|null} cursor - Last audit id seen; null on the first poll,
+ *   which only returns the current cursor
+ * @returns {string} JSON; `reset` is true when the caller missed more changes
+ *   than one poll returns, or a snapshot was restored or the environment
+ *   cloned over (it should reload instead of patching). `environment` is the
+ *   one the caller's calls now go to, which another tab can have changed
+ */
+function getTableChanges(cursor = null) {
+  const denied = authorize_("viewer");
+  if (denied) return JSON.stringify(denied);
+
+  const since = Number(cursor);
+  const latest = Number(environmentCache_().get(CHANGE_FEED_CURSOR_KEY));
+  const environment = ENVIRONMENT.name;
+  if (isValidId_(cursor) && latest && latest <= since) {
+    return JSON.stringify({ status: 200, data: { cursor: since, reset: false, environment, changes: [] } });
+  }
+
+  try {
+    const entries = readRecentAuditEntries_();
+    const newest = entries.length ? entries[entries.length - 1].id : 0;
+    noteChange_(newest);
+    if (!isValidId_(cursor)) {
+      return JSON.stringify({ status: 200, data: { cursor: newest, reset: false, environment, changes: [] } });
+    }
+
+    const newer = entries.filter((entry) => entry.id > since);
+    const reset =
+      (entries.length === CHANGE_FEED_MAX_ROWS && entries[0].id > since + 1) ||
+      newer.some((entry) => CHANGE_FEED_RESET_ACTIONS.some((action) => String(entry.action).startsWith(action)));
+    const changes = reset ? [] : foldChanges_(newer);
+    return JSON.stringify({ status: 200, data: { cursor: Math.max(newest, since), reset, environment, changes } });
+  } catch (error) {
+    console.error("Change feed failed:", error);
+    return JSON.stringify({ status: 500, error: error.message });
+  }
+}
+
+/**
+ * Moves the cached cursor forward to `auditId` (never back, so a slower
+ * writer can't hide a newer change).
+ */
+function noteChange_(auditId) {
+  const cache = environmentCache_();
+  const current = Number(cache.get(CHANGE_FEED_CURSOR_KEY)) || 0;
+  if (Number(auditId) > current) {
+    cache.put(CHANGE_FEED_CURSOR_KEY, String(auditId), CHANGE_FEED_CURSOR_SECONDS);
+  }
+}
+
+// Last CHANGE_FEED_MAX_ROWS AUDIT_LOG rows, oldest first
+function readRecentAuditEntries_() {
+  const sheet = openSpreadsheet_().getSheetByName(auditLogTableConfig.tableName);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const lastRow = sheet.getLastRow();
+  const firstRow = Math.max(2, lastRow - CHANGE_FEED_MAX_ROWS + 1);
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(String);
+  return sheet
+    .getRange(firstRow, 1, lastRow - firstRow + 1, headers.length)
+    .getValues()
+    .map((row) => {
+      const entry = {};
+      headers.forEach((header, column) => {
+        if (header) entry[header] = row[column];
+      });
+      entry.id = Number(entry.id);
+      return entry;
+    })
+    .sort((a, b) => a.id - b.id);
+}
+
+function lastAuditId_() {
+  const sheet = openSpreadsheet_().getSheetByName(auditLogTableConfig.tableName);
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+  const idColumn = sheetHeaders_(sheet).indexOf("id") + 1;
+  return Number(sheet.getRange(sheet.getLastRow(), idColumn).getValues()[0][0]) || 0;
+}
+
+/**
+ * Turns audit entries into one change per record the caller can read. An
+ * insert followed by updates stays an insert; anything followed by a
+ * removal is a delete.
+ */
+function foldChanges_(entries) {
+  const email = currentUserEmail_();
+  const changes = new Map();
+  entries.forEach((entry) => {
+    const entity = getEntity_(entry.table_name);
+    if (!entity || !hasRole_(tableAccess_(entity).read)) return;
+
+    const id = Number(entry.record_id);
+    const type = CHANGE_TYPES[String(entry.action).split(" ")[0]] || "update";
+    const changeKey = `${entity.key}:${id}`;
+    const previous = changes.get(changeKey);
+    changes.set(changeKey, {
+      table: entity.key,
+      id: id,
+      type: previous && previous.type === "insert" && type === "update" ? "insert" : type,
+      mine: Boolean(email) && entry.user === email && (!previous || previous.mine),
+      record: null,
+    });
+  });
+
+  // Current values of inserted and updated records, one cached read per table
+  const records = {};
+  changes.forEach((change) => {
+    if (change.type === "delete") return;
+    if (!records[change.table]) {
+      const response = readRecords_(change.table, {}, true);
+      records[change.table] = response.status === 200 ? response.data : [];
+    }
+    change.record = records[change.table].find((record) => Number(record.id) === change.id) || null;
+    // Gone again by now (e.g. removed straight in the sheet)
+    if (!change.record) change.type = "delete";
+  });
+  return Array.from(changes.values());
+}
+
+// ============================================================
+// RECORD SEARCH
+// ============================================================
+
+// Index entries per table are kept this long, or until the table changes
+const SEARCH_INDEX_CACHE_SECONDS = 10 * 60;
+const SEARCH_RESULT_LIMIT = 20;
+
+/**
+ * Global search over the tables with a `search` entry in ENTITY_REGISTRY
+ * (customers by name/email, products and categories by name, orders by id
+ * or customer). Every word of the query must match; exact id matches and
+ * labels starting with the query come first.
+ *
+ * Example: searchRecords("ana gmail")
+ * => [{ table: "customer", id: 4, label: "Ana Pérez", detail: "Ana · Pérez · ana@gmail.com" }]
+ *
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {string} JSON { status, data: [{ table, id, label, detail }] }
+ */
+function searchRecords(query, limit = SEARCH_RESULT_LIMIT) {
+  const denied = authorize_("viewer");
+  if (denied) return JSON.stringify(denied);
+
+  const terms = String(query || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return JSON.stringify({ status: 200, data: [] });
+
+  try {
+    const results = Object.values(ENTITY_REGISTRY)
+      .filter((entity) => entity.search && hasRole_(tableAccess_(entity).read))
+      .flatMap((entity) => readSearchIndex_(entity))
+      .map((entry) => ({ entry: entry, score: searchScore_(entry, terms) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, Number(limit) || SEARCH_RESULT_LIMIT)
+      .map(({ entry }) => ({ table: entry.table, id: entry.id, label: entry.label, detail: entry.detail }));
+    return JSON.stringify({ status: 200, data: results });
+  } catch (error) {
+    console.error("Search failed:", error);
+    return JSON.stringify({ status: 500, error: error.message });
+  }
+}
+
+function searchScore_(entry, terms) {
+  if (!terms.every((term) => entry.text.includes(term))) return 0;
+
+  const query = terms.join(" ");
+  let score = 1;
+  if (terms.includes(String(entry.id))) score += 10;
+  if (entry.label.toLowerCase().startsWith(query)) score += 5;
+  terms.forEach((term) => {
+    if (entry.text.split(" ").some((word) => word.startsWith(term))) score += 1;
+  });
+  return score;
+}
+
+/**
+ * Search entries of one table, from the script cache when possible.
+ * Entries: { table, id, label, detail, text } where `text` is the lowercase
+ * string the terms are matched against.
+ */
+function readSearchIndex_(entity) {
+  const cache = environmentCache_();
+  const cacheKey = `search-index:${entity.key}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  const index = buildSearchIndex_(entity);
+  try {
+    cache.put(cacheKey, JSON.stringify(index), SEARCH_INDEX_CACHE_SECONDS);
+  } catch (error) {
+    // Over the cache value size limit: rebuilt on every search instead
+    console.warn(`Search index of ${entity.config.tableName} not cached:`, error.message);
+  }
+  return index;
+}
+
+function buildSearchIndex_(entity) {
+  const response = readRecords_(entity.key);
+  if (response.status !== 200) {
+    throw new Error(`Could not read ${entity.config.tableName}: ${response.error}`);
+  }
+
+  // Foreign keys are searched by the parent's label ("Orden #3" -> "Ana Pérez")
+  const parentLabels = {};
+  entity.search
+    .filter((field) => (entity.foreignKeys || {})[field])
+    .forEach((field) => {
+      const parent = ENTITY_REGISTRY[entity.foreignKeys[field]];
+      const parents = readRecords_(parent.key);
+      parentLabels[field] = {};
+      if (parents.status !== 200) return;
+      parents.data.forEach((record) => {
+        parentLabels[field][record.id] = formatOptionLabel_(parent, record);
+      });
+    });
+
+  return response.data.map((record) => {
+    const values = entity.search
+      .map((field) =>
+        parentLabels[field] ? parentLabels[field][record[field]] || `#${record[field]}` : record[field]
+      )
+      .filter((value) => value !== undefined && value !== null && value !== "")
+      .map(String);
+    return {
+      table: entity.key,
+      id: record.id,
+      label: formatOptionLabel_(entity, record),
+      detail: values.join(" · "),
+      text: values.join(" ").toLowerCase(),
+    };
+  });
+}
+
+// Server twin of the client's formatOptionLabel: "{first_name} {last_name}"
+function formatOptionLabel_(entity, record) {
+  const template = (entity.ui && entity.ui.optionLabel) || "#{id}";
+  return template.replace(/\{(\w+)\}/g, (match, field) =>
+    record[field] !== undefined && record[field] !== null ? record[field] : ""
+  );
+}
+
+/**
+ * Drops the cached search index of `key` and of the tables whose search
+ * shows its labels (ORDER shows CUSTOMER names).
+ */
+function invalidateSearchIndex_(key) {
+  const keys = Object.values(ENTITY_REGISTRY)
+    .filter((entity) => entity.search)
+    .filter(
+      (entity) =>
+        entity.key === key ||
+        entity.search.some((field) => (entity.foreignKeys || {})[field] === key)
+    )
+    .map((entity) => `search-index:${entity.key}`);
+  if (keys.length) environmentCache_().removeAll(keys);
+}
+
+// ============================================================
+// ADVANCED DEBUGGING & LOGGING
+// ============================================================
+
+/**
+ * Update category with detailed logging for debugging
+ * Uses updateWithLogs() which provides enhanced debugging information
+ * including validation details, type conversions, and any errors.
+ */
+function updateCategoryWithLogs(updatedCategory, id) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  const record = convertRecordTypes_(categoryTableConfig, updatedCategory);
+  const errors = validateRecord_(ENTITY_REGISTRY.category, record, {
+    id: id,
+    fields: Object.keys(updatedCategory || {}),
+  });
+  if (Object.keys(errors).length) {
+    return JSON.stringify(validationError_(ENTITY_REGISTRY.category, errors));
+  }
+
+  const before = db.read(categoryTableConfig.tableName, id);
+  const response = db.updateWithLogs(
+    categoryTableConfig.tableName,
+    id,
+    record,
+    fieldNames_(categoryTableConfig)
+  );
+  console.log("Update with logs:", response);
+  if (response.status === 200) {
+    writeAuditEntry_(ENTITY_REGISTRY.category, id, "update", before.data, response.data);
+    invalidateTable_("category");
+  }
+  return JSON.stringify(response);
+}
+
+/**
+ * Get related records with detailed logging
+ * This demonstrates getRelatedRecordsWithLogs() for debugging relationship queries
+ */
+function getCategoryRelatedRecordsWithLogs(foreignKey) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  const response = db.getRelatedRecordsWithLogs(
+    foreignKey,
+    productTableConfig.tableName,
+    "category_fk",
+    4,
+    {},
+    false
+  );
+  return JSON.stringify(response);
+}
+
+/**
+ * Get the result of the last table creation operation
+ * Useful for debugging table setup and configuration issues
+ */
+function getLastCreationResult() {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  const response = db.getCreationResult();
+  return JSON.stringify(response);
+}
+
+// ============================================================
+// ALTERNATIVE QUERY METHODS
+// ============================================================
+
+/**
+ * Get related records using TextFinder (text-based matching)
+ * This is an alternative query method that uses Google Sheets' TextFinder API
+ * Generally slower than the standard method but useful for text-based searches
+ */
+function getCategoryRelatedRecordsTextFinder(foreignKey) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  const response = db.getRelatedRecordsWithTextFinder(
+    foreignKey,
+    productTableConfig.tableName,
+    "category_fk",
+    4,
+    {},
+    false
+  );
+  return JSON.stringify(response);
+}
+
+/**
+ * Get related records using filter() method
+ * This is an alternative implementation using JavaScript array filtering
+ * Demonstrates different query approaches with performance trade-offs
+ */
+function getCategoryRelatedRecordsFilter(foreignKey) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  const response = db.getRelatedRecordsWithFilter(
+    foreignKey,
+    productTableConfig.tableName,
+    "category_fk",
+    4,
+    {},
+    false
+  );
+  return JSON.stringify(response);
+}
+
+// ============================================================
+// DATA INTEGRITY
+// ============================================================
+
+/**
+ * Check junction table integrity and move invalid records to history
+ * This validates that all foreign keys in the ORDER_DETAIL table
+ * point to valid records in ORDER and PRODUCT tables.
+ * Invalid records are automatically moved to the history table.
+ */
+function checkOrderDetailIntegrity() {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  // checkTableIntegrity() moves invalid rows to history; diff before/after to audit them
+  const before = readRecords_("order_detail");
+  const response = db.checkTableIntegrity(
     orderDetailConfig.tableName,
-    newOrderDetail,
-    Object.keys(orderDetailConfig.fields)
+    orderDetailConfig.historyTableName
   );
+  if (response.status === 200) invalidateTable_("order_detail");
+  if (response.status === 200 && before.status === 200) {
+    auditRemovedRecords_(ENTITY_REGISTRY.order_detail, before.data, "integrity_remove");
+  }
   return JSON.stringify(response);
 }
 
-function readOrderDetailTable() {
-  const response = db.getAll(orderDetailConfig.tableName, {}, false);
+/**
+ * Manually delete junction records for a specific parent
+ * This demonstrates explicit junction record cleanup.
+ * Normally this happens automatically with removeWithCascade(),
+ * but this function allows manual control over the process.
+ *
+ * @param {number} orderId - The order ID whose junction records should be deleted
+ */
+function deleteOrderDetailsByOrderId(orderId) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  const before = readRecords_("order_detail");
+  const response = db.deleteRelatedJunctionRecords(
+    orderDetailConfig.tableName,
+    orderDetailConfig.historyTableName,
+    2, // order_id is at index 2 in ORDER_DETAIL
+    orderId
+  );
+  if (response.status === 200) invalidateTable_("order_detail");
+  if (response.status === 200 && before.status === 200) {
+    auditRemovedRecords_(
+      ENTITY_REGISTRY.order_detail,
+      before.data.filter((record) => Number(record.order_id) === Number(orderId)),
+      `junction_remove (ORDER #${orderId})`
+    );
+  }
   return JSON.stringify(response);
 }
 
-function readOrderDetailById(id) {
-  const response = db.read(orderDetailConfig.tableName, id);
-  return JSON.stringify(response);
+// ============================================================
+// INTEGRITY SCAN & REPAIR
+// ============================================================
+
+/**
+ * Fixes the scanner can suggest:
+ * - remove:     removeRecords_() (row goes to the history table, onDelete applies)
+ * - delete_row: deletes the sheet row itself (extra copies of a duplicated id)
+ * - clear_cell: empties the cell (bad values, missing parents of optional keys)
+ * - merge:      adds the numeric fields of a duplicate junction row to the
+ *               first row with the same pair, then removes it
+ */
+const INTEGRITY_FIX_ORDER = ["clear_cell", "delete_row", "merge", "remove"];
+
+/**
+ * Dry run over every registry table. Nothing is changed; each issue lists the
+ * fixes applyIntegrityFixes() accepts for it.
+ *
+ * Issue types: orphan (foreign key without parent), duplicate_id,
+ * invalid_type (cell that doesn't match the field type) and duplicate_pair
+ * (junction rows repeating the same parents, e.g. order/product in ORDER_DETAIL).
+ *
+ * @returns {string} JSON { status, data: { issues, summary } }
+ */
+function scanIntegrity() {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  try {
+    return JSON.stringify({ status: 200, data: buildIntegrityReport_() });
+  } catch (error) {
+    console.error("Integrity scan failed:", error);
+    return JSON.stringify({ status: 500, error: error.message });
+  }
 }
 
-function updateOrderDetail(updatedOrderDetail, id) {
-  if (updatedOrderDetail.created_at) {
-    updatedOrderDetail.created_at = new Date(updatedOrderDetail.created_at);
+/**
+ * Applies the fixes chosen from a scan. Issues are matched by id against a
+ * fresh scan, so a fix whose issue is gone (or changed) is skipped.
+ *
+ * @param {Array<{id: string, action: string}>} fixes
+ * @returns {string} JSON { status, data: { results, report } }
+ */
+function applyIntegrityFixes(fixes) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  if (!Array.isArray(fixes) || !fixes.length) {
+    return JSON.stringify({ status: 400, error: "Choose at least one fix to apply" });
   }
-  const response = db.update(
-    orderDetailConfig.tableName,
-    id,
-    updatedOrderDetail,
-    Object.keys(orderDetailConfig.fields)
+
+  return JSON.stringify(
+    withScriptLock_("repair", () => {
+      const issues = {};
+      buildIntegrityReport_().issues.forEach((issue) => {
+        issues[issue.id] = issue;
+      });
+
+      const results = [];
+      const planned = [];
+      fixes.forEach(({ id, action }) => {
+        const issue = issues[id];
+        if (!issue) {
+          results.push({ id, action, status: 404, error: "Issue no longer found, scan again" });
+        } else if (!issue.fixes.includes(action)) {
+          results.push({ id, action, status: 400, error: `"${action}" does not fix ${issue.type}` });
+        } else {
+          planned.push({ issue, action });
+        }
+      });
+
+      // Cell fixes first and row deletions next (bottom-up), so sheet row
+      // numbers stay valid; id based fixes don't depend on rows.
+      planned.sort(
+        (a, b) =>
+          INTEGRITY_FIX_ORDER.indexOf(a.action) - INTEGRITY_FIX_ORDER.indexOf(b.action) ||
+          b.issue.row - a.issue.row
+      );
+      planned.forEach(({ issue, action }) => {
+        const response = applyIntegrityFix_(issue, action);
+        results.push({ id: issue.id, action, status: response.status, error: response.error });
+      });
+      new Set(planned.map(({ issue }) => issue.table)).forEach(invalidateTable_);
+
+      const applied = results.filter((result) => result.status === 200).length;
+      return {
+        status: 200,
+        data: { results, report: buildIntegrityReport_() },
+        message: `${applied} of ${fixes.length} fixes applied`,
+      };
+    })
   );
-  return JSON.stringify(response);
 }
 
-function removeOrderDetail(id) {
-  const response = db.remove(
-    orderDetailConfig.tableName,
-    orderDetailConfig.historyTableName,
-    id
+function buildIntegrityReport_() {
+  const sheets = {};
+  Object.values(ENTITY_REGISTRY).forEach((entity) => {
+    sheets[entity.key] = readSheetRecords_(entity.config.tableName);
+  });
+  const idsOf = (key) =>
+    new Set((sheets[key] || []).filter((row) => isValidId_(row.id)).map((row) => Number(row.id)));
+
+  const issues = [];
+  const summary = { tables: {}, types: {} };
+  Object.values(ENTITY_REGISTRY).forEach((entity) => {
+    const rows = sheets[entity.key];
+    if (!rows) return;
+
+    const found = []
+      .concat(findDuplicateIds_(entity, rows))
+      .concat(findInvalidCells_(entity, rows))
+      .concat(findOrphans_(entity, rows, idsOf))
+      .concat(findDuplicatePairs_(entity, rows));
+    found.forEach((issue) => {
+      summary.types[issue.type] = (summary.types[issue.type] || 0) + 1;
+    });
+    summary.tables[entity.key] = { rows: rows.length, issues: found.length };
+    issues.push(...found);
+  });
+
+  return { issues, summary: Object.assign(summary, { total: issues.length }) };
+}
+
+// Same cell, same issue: ids stay stable between a scan and the fix
+function integrityIssue_(type, entity, row, field, message, fixes, extra = {}) {
+  return Object.assign(
+    {
+      id: [type, entity.key, row._row, field || ""].join(":"),
+      type: type,
+      table: entity.key,
+      tableName: entity.config.tableName,
+      row: row._row,
+      recordId: row.id,
+      field: field || null,
+      value: row[field] instanceof Date ? row[field].toISOString() : field ? row[field] : null,
+      message: message,
+      fixes: fixes,
+    },
+    extra
+  );
+}
+
+function findDuplicateIds_(entity, rows) {
+  const seen = {};
+  return rows
+    .filter((row) => isValidId_(row.id))
+    .filter((row) => {
+      const duplicate = seen[row.id] !== undefined;
+      if (!duplicate) seen[row.id] = row._row;
+      return duplicate;
+    })
+    .map((row) =>
+      integrityIssue_(
+        "duplicate_id",
+        entity,
+        row,
+        "id",
+        `Id ${row.id} is also used by sheet row ${seen[row.id]}`,
+        ["delete_row"]
+      )
+    );
+}
+
+function findInvalidCells_(entity, rows) {
+  const issues = [];
+  rows.forEach((row) => {
+    if (!isValidId_(row.id)) {
+      issues.push(
+        integrityIssue_("invalid_type", entity, row, "id", `"${row.id}" is not a valid id`, ["delete_row"])
+      );
+      return;
+    }
+
+    Object.entries(entity.config.fields).forEach(([field, definition]) => {
+      if (isValidCell_(fieldType_(definition), row[field])) return;
+      issues.push(
+        integrityIssue_(
+          "invalid_type",
+          entity,
+          row,
+          field,
+          `"${row[field]}" is not a valid ${fieldType_(definition)}`,
+          ["clear_cell", "remove"]
+        )
+      );
+    });
+  });
+  return issues;
+}
+
+function isValidCell_(type, value) {
+  if (value === "" || value === null || value === undefined) return true;
+  switch (type) {
+    case "number":
+      return typeof value === "number" ? isFinite(value) : String(value).trim() !== "" && !isNaN(Number(value));
+    case "date":
+      return value instanceof Date ? !isNaN(value.getTime()) : !isNaN(new Date(value).getTime());
+    case "boolean":
+      return typeof value === "boolean" || ["true", "false"].includes(String(value).toLowerCase());
+    default:
+      return true;
+  }
+}
+
+function findOrphans_(entity, rows, idsOf) {
+  const rules = entity.rules || {};
+  const issues = [];
+  Object.entries(entity.foreignKeys || {}).forEach(([field, targetKey]) => {
+    const parentIds = idsOf(targetKey);
+    const target = ENTITY_REGISTRY[targetKey].config.tableName;
+    rows
+      .filter((row) => isValidId_(row.id))
+      .filter((row) => row[field] !== "" && row[field] !== null && row[field] !== undefined)
+      .filter((row) => !parentIds.has(Number(row[field])))
+      .forEach((row) => {
+        // A required key can't be emptied, the row can only go
+        const fixes = (rules[field] || {}).required ? ["remove"] : ["remove", "clear_cell"];
+        issues.push(
+          integrityIssue_("orphan", entity, row, field, `${target} #${row[field]} does not exist`, fixes)
+        );
+      });
+  });
+  return issues;
+}
+
+/**
+ * Junction tables (two or more foreign keys) shouldn't repeat the same
+ * parents. Later rows point at the first one (`keepId`) so "merge" knows
+ * where to add their numbers.
+ */
+function findDuplicatePairs_(entity, rows) {
+  const keyFields = Object.keys(entity.foreignKeys || {});
+  if (keyFields.length < 2) return [];
+
+  const first = {};
+  return rows
+    .filter((row) => isValidId_(row.id))
+    .filter((row) => {
+      const pair = keyFields.map((field) => Number(row[field])).join("|");
+      if (first[pair]) {
+        row._keep = first[pair];
+        return true;
+      }
+      first[pair] = row;
+      return false;
+    })
+    .map((row) =>
+      integrityIssue_(
+        "duplicate_pair",
+        entity,
+        row,
+        null,
+        `Same ${keyFields.join(" / ")} as #${row._keep.id} ` +
+          `(${keyFields.map((field) => row[field]).join(" / ")})`,
+        ["merge", "remove"],
+        { keepId: row._keep.id }
+      )
+    );
+}
+
+function applyIntegrityFix_(issue, action) {
+  const entity = ENTITY_REGISTRY[issue.table];
+  const before = Object.assign({ id: issue.recordId }, issue.field ? { [issue.field]: issue.value } : {});
+
+  switch (action) {
+    case "remove":
+      return removeRecords_(entity, [issue.recordId])[0];
+
+    case "delete_row":
+      deleteSheetRows_(entity.config.tableName, [issue.row]);
+      writeAuditEntry_(entity, issue.recordId, "integrity_remove", before, null);
+      return { status: 200 };
+
+    case "clear_cell": {
+      const sheet = openSpreadsheet_().getSheetByName(entity.config.tableName);
+      const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(String);
+      const column = headers.indexOf(issue.field) + 1;
+      if (!column) return { status: 404, error: `Column ${issue.field} not found` };
+
+      sheet.getRange(issue.row, column).setValue("");
+      writeAuditEntry_(entity, issue.recordId, "integrity_clear", before, { id: issue.recordId });
+      return { status: 200 };
+    }
+
+    case "merge": {
+      const keep = readRecordById_(entity.key, issue.keepId);
+      const duplicate = readRecordById_(entity.key, issue.recordId);
+      if (keep.status !== 200) return keep;
+      if (duplicate.status !== 200) return duplicate;
+
+      // Numeric fields that aren't foreign keys (ORDER_DETAIL: quantity) add up
+      const sums = {};
+      Object.entries(entity.config.fields)
+        .filter(([field, definition]) => fieldType_(definition) === "number")
+        .filter(([field]) => !(entity.foreignKeys || {})[field])
+        .forEach(([field]) => {
+          sums[field] = Number(keep.data[field] || 0) + Number(duplicate.data[field] || 0);
+        });
+
+      const updated = updateRecord_(entity.key, sums, issue.keepId);
+      if (updated.status !== 200) return updated;
+      return removeRecords_(entity, [issue.recordId])[0];
+    }
+
+    default:
+      return { status: 400, error: `Unknown fix "${action}"` };
+  }
+}
+
+// ============================================================
+// SNAPSHOTS (BACKUP & POINT-IN-TIME RESTORE)
+// ============================================================
+
+/**
+ * A snapshot is one JSON file in a Drive folder with every table and
+ * history table as it was at one moment (read under the script lock):
+ *
+ *   { format: 1, schemaVersion: 2, createdAt, createdBy, reason, note,
+ *     tables: { PRODUCT: { columns: ["id", "name", ...], rows: [[1, "Laptop", ...]] }, ... } }
+ *
+ * Dates are stored as { $date: ISO string }. `schemaVersion` is the applied
+ * migration (see SCHEMA MIGRATIONS); a table whose columns changed since
+ * can't be restored from it. The file description holds the summary that
+ * listSnapshots() shows, so listing doesn't download every file.
+ *
+ * Reasons: manual (createSnapshot), scheduled (the time-driven trigger) and
+ * before_restore (taken by restoreSnapshot, so every restore can be undone).
+ *
+ * Each environment has its own snapshot folder; scheduled snapshots are
+ * taken of the default environment (see ENVIRONMENTS).
+ */
+const SNAPSHOT_FORMAT = 1;
+const SNAPSHOT_FOLDER_PROPERTY = "snapshots:folder";
+const SNAPSHOT_SCHEDULE_PROPERTY = "snapshots:schedule";
+const SNAPSHOT_TRIGGER_HANDLER = "runScheduledSnapshot";
+// Hours between scheduled snapshots; 0 turns them off
+const SNAPSHOT_SCHEDULES = [0, 6, 12, 24, 168];
+// Older scheduled snapshots are trashed; manual ones are kept
+const SNAPSHOT_KEEP_SCHEDULED = 14;
+// Row ids listed per table and kind of difference by diffSnapshot()
+const SNAPSHOT_DIFF_LIMIT = 50;
+// Saved but never restored: the log must keep the restore itself, and the
+// applied migrations describe the sheets as they are
+const SNAPSHOT_LIVE_ONLY_TABLES = [auditLogTableConfig.tableName, migrationsTableConfig.tableName];
+
+/**
+ * Saves a snapshot of the whole database now.
+ * @param {string} [note] - Shown next to it in the list
+ * @returns {string} JSON { status, data: snapshot summary (see listSnapshots) }
+ */
+function createSnapshot(note = "") {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  return JSON.stringify(
+    withScriptLock_("take the snapshot", () => ({
+      status: 200,
+      data: writeSnapshot_("manual", String(note || "").slice(0, 200)),
+      message: "Snapshot saved",
+    }))
   );
+}
+
+/**
+ * Handler of the time-driven trigger installed by setSnapshotSchedule(). The
+ * trigger runs as the script owner, on the default environment (not the one
+ * the owner last opened); called any other way it needs an admin.
+ * @param {Object} [e] - Trigger event
+ */
+function runScheduledSnapshot(e) {
+  const fromTrigger =
+    Boolean(e && e.triggerUid) &&
+    ScriptApp.getProjectTriggers().some((trigger) => trigger.getUniqueId() === String(e.triggerUid));
+  if (fromTrigger) {
+    useEnvironment_(defaultEnvironmentName_());
+  } else {
+    const denied = authorize_("admin");
+    if (denied) return JSON.stringify(denied);
+  }
+
+  const response = withScriptLock_("take the scheduled snapshot", () => {
+    const snapshot = writeSnapshot_("scheduled", "");
+    trimScheduledSnapshots_();
+    return { status: 200, data: snapshot };
+  });
+  if (response.status !== 200) console.error("Scheduled snapshot failed:", response.error);
   return JSON.stringify(response);
 }
 
 /**
- * Get all products (and their details) for a specific order
- * This demonstrates getJunctionRecords() for many-to-many relationships.
+ * @returns {string} JSON { status, data: { snapshots, scheduleHours } }, newest
+ * snapshot first. Each one: { id, name, createdAt, size, reason, note,
+ * createdBy, schemaVersion, rows: { TABLE: count } }
+ */
+function listSnapshots() {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  try {
+    return JSON.stringify({
+      status: 200,
+      data: {
+        snapshots: snapshotFiles_().map(snapshotSummary_),
+        scheduleHours: snapshotScheduleHours_(),
+      },
+    });
+  } catch (error) {
+    console.error("Listing snapshots failed:", error);
+    return JSON.stringify({ status: 500, error: error.message });
+  }
+}
+
+/**
+ * Installs (or removes, with 0) the trigger that takes a snapshot every
+ * `hours` hours.
+ * @param {number} hours - One of SNAPSHOT_SCHEDULES
+ */
+function setSnapshotSchedule(hours) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  hours = Number(hours);
+  if (!SNAPSHOT_SCHEDULES.includes(hours)) {
+    return JSON.stringify({ status: 400, error: `Schedule must be one of ${SNAPSHOT_SCHEDULES.join(", ")} hours` });
+  }
+
+  try {
+    ScriptApp.getProjectTriggers()
+      .filter((trigger) => trigger.getHandlerFunction() === SNAPSHOT_TRIGGER_HANDLER)
+      .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+    if (hours) {
+      const builder = ScriptApp.newTrigger(SNAPSHOT_TRIGGER_HANDLER).timeBased();
+      (hours < 24 ? builder.everyHours(hours) : builder.everyDays(hours / 24)).create();
+    }
+    PropertiesService.getScriptProperties().setProperty(SNAPSHOT_SCHEDULE_PROPERTY, String(hours));
+    return JSON.stringify({ status: 200, data: { scheduleHours: hours } });
+  } catch (error) {
+    console.error("Changing the snapshot schedule failed:", error);
+    return JSON.stringify({ status: 500, error: error.message });
+  }
+}
+
+/**
+ * Compares a snapshot with the live sheets, row by row (by id). From the
+ * snapshot's point of view: `added` rows were created since (a restore
+ * removes them), `removed` rows were deleted since (a restore brings them
+ * back) and `changed` rows have other values now.
  *
- * The function returns:
- * - All products associated with the order
- * - The junction record data (quantity, created_at, etc.)
- * - Metadata about the relationship
+ * @param {string} snapshotId - Drive file id from listSnapshots()
+ * @param {string} [table] - Registry key or table name (with its history
+ *   table); every restorable table by default
+ * @returns {string} JSON { status, data: { snapshot, tables: [{ table,
+ *   columnsMatch, snapshotRows, liveRows, added, removed, changed, samples }] } }
  *
- * Example result:
- * {
- *   data: [
- *     {
- *       id: 5,
- *       name: "Laptop",
- *       price: 999,
- *       relationship: { order_id: 1, product_id: 5, quantity: 2 }
- *     }
- *   ],
- *   metadata: { junctionTable: "ORDER_DETAIL", ... }
- * }
+ * Example:
+ * diffSnapshot("1AbC...", "product")
+ * => { status: 200, data: { tables: [{ table: "PRODUCT", columnsMatch: true, snapshotRows: 12,
+ *      liveRows: 11, added: 0, removed: 1, changed: 2,
+ *      samples: { added: [], removed: [7], changed: [{ id: 3, fields: ["price"] }] } }, ...] } }
+ */
+function diffSnapshot(snapshotId, table = null) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  try {
+    const loaded = loadSnapshot_(snapshotId);
+    if (loaded.status !== 200) return JSON.stringify(loaded);
+    const { file, snapshot } = loaded.data;
+
+    const targets = snapshotTargets_(snapshot, table);
+    if (targets.status) return JSON.stringify(targets);
+
+    const live = readSnapshotTables_(targets);
+    return JSON.stringify({
+      status: 200,
+      data: {
+        snapshot: snapshotSummary_(file),
+        tables: targets.map((sheetName) => diffSnapshotTable_(sheetName, snapshot.tables[sheetName], live[sheetName])),
+      },
+    });
+  } catch (error) {
+    console.error("Snapshot diff failed:", error);
+    return JSON.stringify({ status: 500, error: error.message });
+  }
+}
+
+/**
+ * Puts one table (with its history table) or the whole database back the way
+ * it was in the snapshot. A before_restore snapshot is taken first, so the
+ * restore itself can be undone. Refused (409) when a table's columns changed
+ * since the snapshot. AUDIT_LOG and MIGRATIONS are never restored.
  *
- * @param {number} sourceId - The order ID
+ * Restoring a single table can leave rows of other tables pointing at
+ * records it no longer has; the response includes an integrity scan summary.
+ *
+ * @param {string} snapshotId - Drive file id from listSnapshots()
+ * @param {string} [table] - Registry key or table name; the whole database by default
+ * @returns {string} JSON { status, data: { restored: { TABLE: rows }, backup, integrity } }
  */
-function readOrderDetailFromOrder(sourceId) {
-  const response = db.getJunctionRecords(
-    orderDetailConfig.tableName,
-    orderTableConfig.tableName,
-    productTableConfig.tableName,
-    sourceId,
-    (options = {})
+function restoreSnapshot(snapshotId, table = null) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  const response = withScriptLock_("restore the snapshot", () => {
+    const loaded = loadSnapshot_(snapshotId);
+    if (loaded.status !== 200) return loaded;
+    const { file, snapshot } = loaded.data;
+
+    const targets = snapshotTargets_(snapshot, table);
+    if (targets.status) return targets;
+
+    const spreadsheet = openSpreadsheet_();
+    const conflicts = targets
+      .map((sheetName) => {
+        const sheet = spreadsheet.getSheetByName(sheetName);
+        const columns = sheet ? sheetHeaders_(sheet) : [];
+        const saved = snapshot.tables[sheetName].columns;
+        return columns.join(",") === saved.join(",")
+          ? null
+          : `${sheetName}: the snapshot has columns "${saved.join(", ")}", the sheet has "${columns.join(", ")}"`;
+      })
+      .filter(Boolean);
+    if (conflicts.length) {
+      return {
+        status: 409,
+        error: `The schema changed since the snapshot (version ${snapshot.schemaVersion}, now ${currentSchemaVersion_()}): ${conflicts.join("; ")}`,
+      };
+    }
+
+    const backup = writeSnapshot_("before_restore", `Before restoring ${file.getName()}`);
+    // What the tables hold now, put back if a later table fails
+    const current = readSnapshotTables_(targets);
+    const restored = {};
+    try {
+      targets.forEach((sheetName) => {
+        replaceSheetRows_(spreadsheet.getSheetByName(sheetName), snapshot.tables[sheetName]);
+        restored[sheetName] = snapshot.tables[sheetName].rows.length;
+      });
+    } catch (error) {
+      console.error("Snapshot restore failed, putting the tables back:", error);
+      const leftBehind = targets.filter((sheetName) => {
+        try {
+          replaceSheetRows_(spreadsheet.getSheetByName(sheetName), current[sheetName]);
+          return false;
+        } catch (rollbackError) {
+          console.error(`Could not put ${sheetName} back:`, rollbackError);
+          return true;
+        }
+      });
+      targets.map((sheetName) => getEntity_(sheetName)).filter(Boolean).forEach((entity) => invalidateTable_(entity.key));
+      const message = `Restore rolled back: ${error.message}`;
+      return {
+        status: 500,
+        error: leftBehind.length
+          ? `${message}. ${leftBehind.join(", ")} could not be put back; the ${backup.name} snapshot has them`
+          : message,
+      };
+    }
+
+    targets
+      .map((sheetName) => getEntity_(sheetName))
+      .filter(Boolean)
+      .forEach((entity) => {
+        invalidateTable_(entity.key);
+        writeAuditEntry_(entity, 0, `snapshot_restore (${file.getName()})`, null, null);
+      });
+
+    return {
+      status: 200,
+      data: { restored, backup, integrity: buildIntegrityReport_().summary },
+      message: `Restored ${targets.length} tables from ${file.getName()}`,
+    };
+  });
+  return JSON.stringify(response);
+}
+
+/**
+ * Overwrites the data rows of a sheet with the rows of a snapshot table. The
+ * old rows are cleared, not deleted: Sheets refuses to delete every row
+ * under a frozen header.
+ */
+function replaceSheetRows_(sheet, table) {
+  const { columns, rows } = table;
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).clearContent();
+  }
+  if (rows.length) {
+    sheet.getRange(2, 1, rows.length, columns.length).setValues(rows.map((row) => row.map(decodeSnapshotValue_)));
+  }
+}
+
+// One folder per environment
+function snapshotFolder_() {
+  const properties = PropertiesService.getScriptProperties();
+  const propertyKey = `${SNAPSHOT_FOLDER_PROPERTY}:${ENVIRONMENT.name}`;
+  const folderId = properties.getProperty(propertyKey);
+  if (folderId) {
+    try {
+      return DriveApp.getFolderById(folderId);
+    } catch (error) {
+      console.warn(`Snapshot folder ${folderId} is gone, creating a new one:`, error);
+    }
+  }
+
+  const folder = DriveApp.createFolder(`${ENVIRONMENT.dbName} snapshots`);
+  properties.setProperty(propertyKey, folder.getId());
+  return folder;
+}
+
+/**
+ * @returns {Array<File>} snapshot files, newest first
+ */
+function snapshotFiles_() {
+  const files = [];
+  const iterator = snapshotFolder_().getFiles();
+  while (iterator.hasNext()) {
+    const file = iterator.next();
+    if (!file.isTrashed()) files.push(file);
+  }
+  return files.sort((a, b) => b.getDateCreated().getTime() - a.getDateCreated().getTime());
+}
+
+function snapshotSummary_(file) {
+  let details = {};
+  try {
+    details = JSON.parse(file.getDescription() || "{}");
+  } catch (error) {
+    console.warn(`Snapshot ${file.getName()} has no readable summary:`, error);
+  }
+  return Object.assign(
+    { id: file.getId(), name: file.getName(), createdAt: file.getDateCreated().toISOString(), size: file.getSize() },
+    details
+  );
+}
+
+function snapshotScheduleHours_() {
+  return Number(PropertiesService.getScriptProperties().getProperty(SNAPSHOT_SCHEDULE_PROPERTY)) || 0;
+}
+
+/**
+ * Every table and history table with its sheet name, in schema order.
+ */
+function snapshotSheetNames_() {
+  return schemaConfigs_().reduce(
+    (names, config) => names.concat(config.historyTableName ? [config.tableName, config.historyTableName] : [config.tableName]),
+    []
+  );
+}
+
+function encodeSnapshotValue_(value) {
+  return value instanceof Date ? { $date: value.toISOString() } : value;
+}
+
+function decodeSnapshotValue_(value) {
+  return value && typeof value === "object" && value.$date ? new Date(value.$date) : value;
+}
+
+/**
+ * @param {Array<string>} sheetNames
+ * @returns {Object} { SHEET: { columns, rows } } with encoded values; sheets
+ * that don't exist are left out
+ */
+function readSnapshotTables_(sheetNames) {
+  const spreadsheet = openSpreadsheet_();
+  const tables = {};
+  sheetNames.forEach((sheetName) => {
+    const sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) return;
+
+    const columns = sheetHeaders_(sheet);
+    const rows =
+      sheet.getLastRow() > 1 && columns.length
+        ? sheet.getRange(2, 1, sheet.getLastRow() - 1, columns.length).getValues()
+        : [];
+    tables[sheetName] = { columns, rows: rows.map((row) => row.map(encodeSnapshotValue_)) };
+  });
+  return tables;
+}
+
+/**
+ * Reads every table (the caller holds the script lock) into a new snapshot
+ * file.
+ * @returns {Object} the snapshot summary
+ */
+function writeSnapshot_(reason, note) {
+  const createdAt = new Date();
+  const details = {
+    reason: reason,
+    note: note,
+    createdBy: currentUserEmail_() || "unknown",
+    schemaVersion: currentSchemaVersion_(),
+  };
+  const tables = readSnapshotTables_(snapshotSheetNames_());
+  const snapshot = Object.assign(
+    { format: SNAPSHOT_FORMAT, createdAt: createdAt.toISOString() },
+    details,
+    { tables: tables }
   );
 
-  console.log(response.status);
-  console.log(response.message);
-  console.log(response.metadata);
+  const name = `snapshot-${createdAt.toISOString().replace(/[:.]/g, "-")}-${reason}.json`;
+  const file = snapshotFolder_().createFile(name, JSON.stringify(snapshot), "application/json");
+  const rows = {};
+  Object.entries(tables).forEach(([sheetName, table]) => {
+    rows[sheetName] = table.rows.length;
+  });
+  file.setDescription(JSON.stringify(Object.assign(details, { rows: rows })));
+  console.log(`Snapshot ${name} saved (${reason})`);
+  return snapshotSummary_(file);
+}
+
+function trimScheduledSnapshots_() {
+  snapshotFiles_()
+    .filter((file) => snapshotSummary_(file).reason === "scheduled")
+    .slice(SNAPSHOT_KEEP_SCHEDULED)
+    .forEach((file) => {
+      console.log(`Trashing old snapshot ${file.getName()}`);
+      file.setTrashed(true);
+    });
+}
+
+/**
+ * Finds a snapshot in the snapshot folder (any other Drive file is refused)
+ * and parses it.
+ * @returns {Object} { status: 200, data: { file, snapshot } } or a 404/400 response
+ */
+function loadSnapshot_(snapshotId) {
+  const file = snapshotFiles_().find((candidate) => candidate.getId() === String(snapshotId));
+  if (!file) return { status: 404, error: `Snapshot ${snapshotId} not found` };
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(file.getBlob().getDataAsString());
+  } catch (error) {
+    return { status: 400, error: `Snapshot ${file.getName()} is not valid JSON` };
+  }
+  if (snapshot.format !== SNAPSHOT_FORMAT || !snapshot.tables) {
+    return { status: 400, error: `Snapshot ${file.getName()} has an unknown format (${snapshot.format})` };
+  }
+  return { status: 200, data: { file, snapshot } };
+}
+
+/**
+ * Sheets a diff or restore works on: the table and its history table, or
+ * every restorable table in the snapshot.
+ * @returns {Array<string>|Object} sheet names, or a 400/404 response
+ */
+function snapshotTargets_(snapshot, table) {
+  const restorable = (sheetName) => !SNAPSHOT_LIVE_ONLY_TABLES.includes(sheetName);
+  if (!table) return Object.keys(snapshot.tables).filter(restorable);
+
+  let config;
+  try {
+    config = schemaConfig_(table);
+  } catch (error) {
+    return unknownTable_(table);
+  }
+  if (!restorable(config.tableName)) {
+    return { status: 400, error: `${config.tableName} is kept as it is by snapshot restores` };
+  }
+
+  const sheetNames = [config.tableName, config.historyTableName].filter(Boolean);
+  const missing = sheetNames.filter((sheetName) => !snapshot.tables[sheetName]);
+  if (missing.length) return { status: 404, error: `The snapshot has no ${missing.join(" or ")}` };
+  return sheetNames;
+}
+
+/**
+ * Rows keyed by id; repeated ids (history tables can hold the same id twice)
+ * get their occurrence appended ("3", "3#2").
+ */
+function snapshotRowsById_(table) {
+  const idColumn = table.columns.indexOf("id");
+  const seen = {};
+  const rows = new Map();
+  table.rows.forEach((row) => {
+    const id = String(row[idColumn]);
+    seen[id] = (seen[id] || 0) + 1;
+    rows.set(seen[id] > 1 ? `${id}#${seen[id]}` : id, row);
+  });
+  return rows;
+}
+
+function diffSnapshotTable_(sheetName, saved, live) {
+  live = live || { columns: [], rows: [] };
+  const result = {
+    table: sheetName,
+    columnsMatch: saved.columns.join(",") === live.columns.join(","),
+    snapshotRows: saved.rows.length,
+    liveRows: live.rows.length,
+    added: 0,
+    removed: 0,
+    changed: 0,
+    samples: { added: [], removed: [], changed: [] },
+  };
+  const sample = (kind, entry) => {
+    result[kind]++;
+    if (result.samples[kind].length < SNAPSHOT_DIFF_LIMIT) result.samples[kind].push(entry);
+  };
+  const idOf = (key) => (isValidId_(key) ? Number(key) : key);
+
+  const savedRows = snapshotRowsById_(saved);
+  const liveRows = snapshotRowsById_(live);
+  liveRows.forEach((row, key) => {
+    if (!savedRows.has(key)) sample("added", idOf(key));
+  });
+  savedRows.forEach((row, key) => {
+    const current = liveRows.get(key);
+    if (!current) {
+      sample("removed", idOf(key));
+      return;
+    }
+    const fields = saved.columns.filter((column, index) => {
+      const liveIndex = live.columns.indexOf(column);
+      return liveIndex < 0 || JSON.stringify(row[index]) !== JSON.stringify(current[liveIndex]);
+    });
+    if (fields.length) sample("changed", { id: idOf(key), fields: fields });
+  });
+  return result;
+}
+
+// ============================================================
+// ENVIRONMENTS (DEV / STAGING / PROD SPREADSHEETS)
+// ============================================================
+
+/**
+ * The "environments" script property (Project Settings > Script Properties)
+ * names each environment and its settings:
+ *
+ *   { "prod": { "label": "Producción", "spreadsheetId": "1ifW...", "production": true },
+ *     "dev":  { "label": "Desarrollo", "spreadsheetId": "1Xyz...", "color": "amber" } }
+ *
+ * - spreadsheetId: where its tables live; empty until cloneEnvironment()
+ *   creates the spreadsheet
+ * - dbName: CamDB name, the environment's name by default
+ * - production: never overwritten by cloneEnvironment() and shown without
+ *   the banner
+ * - color: banner color, one of ENVIRONMENT_COLORS
+ *
+ * "environments:default" names the environment a deployment serves (the
+ * first one by default). Opening the web app with ?env=dev switches the
+ * user to dev: google.script.run calls carry no URL, so the choice is saved
+ * per user like the language, and ?env=prod switches back. Two tabs on
+ * different environments can't both be right; the change feed tells the
+ * older tab (see getTableChanges).
+ *
+ * Roles come from each environment's USER_ROLE table and caches are kept
+ * per environment (environmentCache_).
+ */
+
+/**
+ * @returns {Object} { name: environment } with every setting filled in
+ */
+function environments_() {
+  const environments = {};
+  Object.entries(environmentConfigs_()).forEach(([name, config]) => {
+    environments[name] = {
+      name: name,
+      label: String(config.label || name),
+      spreadsheetId: String(config.spreadsheetId || ""),
+      dbName: String(config.dbName || name),
+      production: Boolean(config.production),
+      color: ENVIRONMENT_COLORS.includes(config.color) ? config.color : ENVIRONMENT_COLORS[0],
+    };
+  });
+  return environments;
+}
 
-  for (record of response.data) {
-    console.log(record);
+// The "environments" script property as saved, or FALLBACK_ENVIRONMENTS when it's unset
+function environmentConfigs_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(ENVIRONMENTS_PROPERTY);
+  if (!raw) return JSON.parse(JSON.stringify(FALLBACK_ENVIRONMENTS));
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`The "${ENVIRONMENTS_PROPERTY}" script property is not valid JSON: ${error.message}`);
   }
+}
 
-  return JSON.stringify(response);
+function defaultEnvironmentName_() {
+  const environments = environments_();
+  const name = PropertiesService.getScriptProperties().getProperty(DEFAULT_ENVIRONMENT_PROPERTY);
+  return environments[name] ? name : Object.keys(environments)[0];
 }
 
 /**
- * Get all orders (and their details) for a specific product
- * This is the reverse direction of the many-to-many relationship.
- *
- * Simply swap the source and target table names to query
- * from the other direction.
- *
- * @param {number} sourceId - The product ID
+ * @returns {Object|null} the environment called `name`
  */
-function readOrderDetailFromProduct(sourceId) {
-  const response = db.getJunctionRecords(
-    orderDetailConfig.tableName,
-    productTableConfig.tableName,
-    orderTableConfig.tableName,
-    sourceId,
-    (options = {})
-  );
+function findEnvironment_(name) {
+  return environments_()[String(name || "")] || null;
+}
 
-  console.log(response.status);
-  console.log(response.message);
-  console.log(response.metadata);
+// The environment called `name`, or the default one
+function selectEnvironment_(name) {
+  return findEnvironment_(name) || findEnvironment_(defaultEnvironmentName_());
+}
 
-  for (record of response.data) {
-    console.log(record);
+function savedUserEnvironment_() {
+  const email = currentUserEmail_();
+  return email ? PropertiesService.getScriptProperties().getProperty(`environment:${email}`) : null;
+}
+
+/**
+ * Remembers the caller's environment; choosing the default one forgets it,
+ * so a later change of the default reaches them too.
+ */
+function saveUserEnvironment_(name) {
+  const email = currentUserEmail_();
+  if (!email) return;
+  const properties = PropertiesService.getScriptProperties();
+  if (name === defaultEnvironmentName_()) {
+    properties.deleteProperty(`environment:${email}`);
+  } else {
+    properties.setProperty(`environment:${email}`, name);
   }
+}
 
-  return JSON.stringify(response);
+/**
+ * Points ENVIRONMENT and db at another environment for the rest of this
+ * execution.
+ * @returns {Object|null} the environment, null when there is none called `name`
+ */
+function useEnvironment_(name) {
+  const environment = findEnvironment_(name);
+  if (!environment || environment.name === ENVIRONMENT.name) return environment;
+
+  ENVIRONMENT = environment;
+  db = CamDB.init(environment.dbName, environment.spreadsheetId);
+  registerTables_(db);
+  return environment;
 }
 
-// ============================================================
-// ADVANCED DEBUGGING & LOGGING
-// ============================================================
+/**
+ * Runs `handler` on another environment and switches back.
+ */
+function withEnvironment_(name, handler) {
+  const previous = ENVIRONMENT.name;
+  useEnvironment_(name);
+  try {
+    return handler();
+  } finally {
+    useEnvironment_(previous);
+  }
+}
 
 /**
- * Update category with detailed logging for debugging
- * Uses updateWithLogs() which provides enhanced debugging information
- * including validation details, type conversions, and any errors.
+ * Applies the ?env= of a doGet/doPost request.
+ * @param {Object} e - Request event
+ * @param {boolean} remember - Save it for the user (the UI; not API calls)
+ * @returns {Object|null} a 400 response for an unknown environment, a 403
+ *   when the caller may not switch (see authorizeEnvironmentSwitch_)
  */
-function updateCategoryWithLogs(updatedCategory, id) {
-  updatedCategory.created_at = new Date(updatedCategory.created_at);
-  const response = db.updateWithLogs(
-    categoryTableConfig.tableName,
-    id,
-    updatedCategory,
-    Object.keys(categoryTableConfig.fields)
-  );
-  console.log("Update with logs:", response);
-  return JSON.stringify(response);
+function applyRequestedEnvironment_(e, remember) {
+  const name = e && e.parameter && e.parameter.env;
+  if (!name) return null;
+
+  if (!findEnvironment_(name)) {
+    return {
+      status: 400,
+      error: `Unknown environment "${name}". Available: ${Object.keys(environments_()).join(", ")}`,
+    };
+  }
+  const denied = authorizeEnvironmentSwitch_(name);
+  if (denied) return denied;
+
+  useEnvironment_(name);
+  if (remember) saveUserEnvironment_(name);
+  return null;
 }
 
 /**
- * Get related records with detailed logging
- * This demonstrates getRelatedRecordsWithLogs() for debugging relationship queries
+ * Anyone may go back to the default environment. Other environments are
+ * for admins (by their role in the default environment) and the emails in
+ * the "environments:users" script property.
+ * @returns {Object|null} a 403 response, or null when the caller may switch
  */
-function getCategoryRelatedRecordsWithLogs(foreignKey) {
-  const response = db.getRelatedRecordsWithLogs(
-    foreignKey,
-    productTableConfig.tableName,
-    "category_fk",
-    4,
-    {},
-    false
-  );
-  return JSON.stringify(response);
+function authorizeEnvironmentSwitch_(name) {
+  if (name === defaultEnvironmentName_()) return null;
+
+  const email = currentUserEmail_();
+  const allowed = String(PropertiesService.getScriptProperties().getProperty(ENVIRONMENT_USERS_PROPERTY) || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  if (email && allowed.includes(email)) return null;
+
+  const denied = withEnvironment_(defaultEnvironmentName_(), () => authorize_("admin"));
+  return denied && { status: 403, error: `Permission denied: only admins can switch to the ${name} environment` };
 }
 
 /**
- * Get the result of the last table creation operation
- * Useful for debugging table setup and configuration issues
+ * The environment saved for the caller gets the same check as ?env= on every
+ * execution (google.script.run, doPost, triggers): someone who lost admin or
+ * was taken off "environments:users" is back on the default environment, and
+ * the saved choice is forgotten. Runs on load, below.
  */
-function getLastCreationResult() {
-  const response = db.getCreationResult();
-  return JSON.stringify(response);
+function checkSavedEnvironment_() {
+  if (!authorizeEnvironmentSwitch_(ENVIRONMENT.name)) return;
+
+  console.warn(`${currentUserEmail_()} may no longer use ${ENVIRONMENT.name}, back to the default environment`);
+  useEnvironment_(defaultEnvironmentName_());
+  saveUserEnvironment_(ENVIRONMENT.name);
 }
 
-// ============================================================
-// ALTERNATIVE QUERY METHODS
-// ============================================================
+// Here rather than next to ENVIRONMENT: the role check needs the constants above
+checkSavedEnvironment_();
+
+function environmentErrorPage_(environmentError) {
+  const escape = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const title = environmentError.status === 403 ? "Environment not available" : "Unknown environment";
+  return HtmlService.createHtmlOutput(
+    `<h2>${title}</h2><p>${escape(environmentError.error)}</p>`
+  ).setTitle("Test CRUD WebApp");
+}
+
+// What the page may know: no spreadsheet ids
+function publicEnvironment_(environment) {
+  return {
+    name: environment.name,
+    label: environment.label,
+    production: environment.production,
+    color: environment.color,
+  };
+}
 
 /**
- * Get related records using TextFinder (text-based matching)
- * This is an alternative query method that uses Google Sheets' TextFinder API
- * Generally slower than the standard method but useful for text-based searches
+ * The script cache, with keys kept apart per environment (cached pages,
+ * roles and the change feed cursor belong to one spreadsheet).
  */
-function getCategoryRelatedRecordsTextFinder(foreignKey) {
-  const response = db.getRelatedRecordsWithTextFinder(
-    foreignKey,
-    productTableConfig.tableName,
-    "category_fk",
-    4,
-    {},
-    false
-  );
-  return JSON.stringify(response);
+function environmentCache_() {
+  const cache = CacheService.getScriptCache();
+  const prefix = `${ENVIRONMENT.name}:`;
+  return {
+    get: (key) => cache.get(prefix + key),
+    put: (key, value, expirationInSeconds) => cache.put(prefix + key, value, expirationInSeconds),
+    remove: (key) => cache.remove(prefix + key),
+    removeAll: (keys) => cache.removeAll(keys.map((key) => prefix + key)),
+  };
 }
 
 /**
- * Get related records using filter() method
- * This is an alternative implementation using JavaScript array filtering
- * Demonstrates different query approaches with performance trade-offs
+ * @returns {string} JSON { status, data: { current, default, environments:
+ * [{ name, label, production, color, hasSpreadsheet }] } }
  */
-function getCategoryRelatedRecordsFilter(foreignKey) {
-  const response = db.getRelatedRecordsWithFilter(
-    foreignKey,
-    productTableConfig.tableName,
-    "category_fk",
-    4,
-    {},
-    false
-  );
-  return JSON.stringify(response);
+function listEnvironments() {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  try {
+    return JSON.stringify({
+      status: 200,
+      data: {
+        current: ENVIRONMENT.name,
+        default: defaultEnvironmentName_(),
+        environments: Object.values(environments_()).map((environment) =>
+          Object.assign(publicEnvironment_(environment), { hasSpreadsheet: Boolean(environment.spreadsheetId) })
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Listing environments failed:", error);
+    return JSON.stringify({ status: 500, error: error.message });
+  }
 }
 
-// ============================================================
-// DATA INTEGRITY
-// ============================================================
+// Copied as they are: who may sign in, and the schema version of the sheets
+const ENVIRONMENT_CLONE_AS_IS = [
+  userRoleTableConfig.tableName,
+  userRoleTableConfig.historyTableName,
+  migrationsTableConfig.tableName,
+];
 
 /**
- * Check junction table integrity and move invalid records to history
- * This validates that all foreign keys in the ORDER_DETAIL table
- * point to valid records in ORDER and PRODUCT tables.
- * Invalid records are automatically moved to the history table.
+ * Copies the current environment's schema into `target`: every table and
+ * history table with its columns, USER_ROLE and MIGRATIONS. The other
+ * tables are left empty, or with `withData` get the current rows with the
+ * registry's `personal` fields replaced ("first_name 3", "customer3@example.com").
+ * The target keeps its own AUDIT_LOG and gets one environment_clone entry
+ * per table, so its open tables reload.
+ *
+ * The target's spreadsheet is created when it has none yet; production
+ * environments are never overwritten.
+ *
+ * @param {string} target - Environment name
+ * @param {boolean} [withData] - Copy anonymized rows too
+ * @returns {string} JSON { status, data: { environment, spreadsheetId, copied: { SHEET: rows } } }
+ *
+ * Example (from prod):
+ * cloneEnvironment("dev", true)
+ * => { status: 200, data: { environment: "dev", spreadsheetId: "1Xyz...",
+ *      copied: { CATEGORY: 4, DELETED_CATEGORY: 0, CUSTOMER: 12, ... } } }
  */
-function checkOrderDetailIntegrity() {
-  const response = db.checkTableIntegrity(
-    orderDetailConfig.tableName,
-    orderDetailConfig.historyTableName
-  );
+function cloneEnvironment(target, withData = false) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
+  const environment = findEnvironment_(target);
+  if (!environment) {
+    return JSON.stringify({ status: 400, error: `Unknown environment "${target}"` });
+  }
+  if (environment.name === ENVIRONMENT.name) {
+    return JSON.stringify({ status: 400, error: `${environment.label} is the current environment` });
+  }
+  if (environment.production) {
+    return JSON.stringify({ status: 400, error: `${environment.label} is a production environment and is never overwritten` });
+  }
+
+  const source = ENVIRONMENT.name;
+  const response = withScriptLock_("clone the environment", () => {
+    const schemaError = schemaError_();
+    if (schemaError) return schemaError;
+
+    const tables = readSnapshotTables_(snapshotSheetNames_());
+    const spreadsheet = environment.spreadsheetId
+      ? SpreadsheetApp.openById(environment.spreadsheetId)
+      : createEnvironmentSpreadsheet_(environment);
+
+    const copied = {};
+    Object.entries(tables).forEach(([sheetName, table]) => {
+      const existing = spreadsheet.getSheetByName(sheetName);
+      if (sheetName === auditLogTableConfig.tableName && existing) return;
+
+      const sheet = existing || spreadsheet.insertSheet(sheetName);
+      const rows = cloneRows_(sheetName, table, withData);
+      sheet.clearContents();
+      sheet.getRange(1, 1, 1, table.columns.length).setValues([table.columns]);
+      if (rows.length) {
+        sheet.getRange(2, 1, rows.length, table.columns.length).setValues(rows.map((row) => row.map(decodeSnapshotValue_)));
+      }
+      copied[sheetName] = rows.length;
+    });
+
+    withEnvironment_(environment.name, () =>
+      Object.values(ENTITY_REGISTRY).forEach((entity) => {
+        invalidateTable_(entity.key);
+        writeAuditEntry_(entity, 0, `environment_clone (${source})`, null, null);
+      })
+    );
+
+    return {
+      status: 200,
+      data: { environment: environment.name, spreadsheetId: environment.spreadsheetId, copied },
+      message: `${source} cloned into ${environment.name}${withData ? " with anonymized data" : ""}`,
+    };
+  });
   return JSON.stringify(response);
 }
 
 /**
- * Manually delete junction records for a specific parent
- * This demonstrates explicit junction record cleanup.
- * Normally this happens automatically with removeWithCascade(),
- * but this function allows manual control over the process.
- *
- * @param {number} orderId - The order ID whose junction records should be deleted
+ * Creates the spreadsheet of an environment that has none and saves its id
+ * in the "environments" script property (created from FALLBACK_ENVIRONMENTS
+ * when it's unset).
  */
-function deleteOrderDetailsByOrderId(orderId) {
-  const response = db.deleteRelatedJunctionRecords(
-    orderDetailConfig.tableName,
-    orderDetailConfig.historyTableName,
-    2, // order_id is at index 2 in ORDER_DETAIL
-    orderId
+function createEnvironmentSpreadsheet_(environment) {
+  const spreadsheet = SpreadsheetApp.create(`${environment.dbName} (${environment.label})`);
+  const properties = PropertiesService.getScriptProperties();
+  const configs = environmentConfigs_();
+  configs[environment.name] = Object.assign({}, configs[environment.name], { spreadsheetId: spreadsheet.getId() });
+  properties.setProperty(ENVIRONMENTS_PROPERTY, JSON.stringify(configs));
+  environment.spreadsheetId = spreadsheet.getId();
+  console.log(`Created spreadsheet ${spreadsheet.getId()} for ${environment.name}`);
+  return spreadsheet;
+}
+
+/**
+ * The rows of one sheet (encoded like in a snapshot) as the clone writes them.
+ */
+function cloneRows_(sheetName, table, withData) {
+  if (ENVIRONMENT_CLONE_AS_IS.includes(sheetName)) return table.rows;
+  if (!withData || sheetName === auditLogTableConfig.tableName) return [];
+
+  const entity = Object.values(ENTITY_REGISTRY).find(
+    (candidate) => candidate.config.tableName === sheetName || candidate.config.historyTableName === sheetName
   );
-  return JSON.stringify(response);
+  const idColumn = table.columns.indexOf("id");
+  const personal = ((entity && entity.personal) || [])
+    .map((field) => ({ field, column: table.columns.indexOf(field) }))
+    .filter(({ column }) => column >= 0);
+  if (!personal.length) return table.rows;
+
+  return table.rows.map((row) => {
+    const copy = row.slice();
+    personal.forEach(({ field, column }) => {
+      if (copy[column] === "" || copy[column] === null) return;
+      const id = row[idColumn];
+      copy[column] = ((entity.rules || {})[field] || {}).email ? `${entity.key}${id}@example.com` : `${field} ${id}`;
+    });
+    return copy;
+  });
 }
 
 // ============================================================
@@ -697,6 +5161,9 @@ function deleteOrderDetailsByOrderId(orderId) {
  * @param {string} colorScheme - One of: red, blue, green, orange, purple
  */
 function applyColorToTable(tableName, colorScheme) {
+  const denied = authorize_("admin");
+  if (denied) return JSON.stringify(denied);
+
   try {
     const response = db.applyColorScheme(tableName, colorScheme);
     return JSON.stringify(response);
@@ -720,8 +5187,139 @@ function applyColorToTable(tableName, colorScheme) {
  * @param {string} options.sortOrder - 'asc' or 'desc'
  */
 function readCategoryTableWithOptions(options) {
-  const response = db.getAll(categoryTableConfig.tableName, options, false);
-  return JSON.stringify(response);
+  return readRecords("category", options);
+}
+
+/**
+ * Server-side processing endpoint for the module DataTables.
+ * Maps the DataTables request (draw/start/length/order/search/columns)
+ * onto getAll() options and answers in the shape DataTables expects.
+ *
+ * - order[0] => sortBy / sortOrder
+ * - start / length => page / pageSize (length -1 means "all rows")
+ * - search.value => case-insensitive match on any column
+ * - columns[i].search.value => exact match for foreign key, number and
+ *   boolean columns (e.g. products with category_fk = 3), contains otherwise
+ *
+ * Without search terms the page is read straight from getAll(); with them
+ * the sorted table is filtered here and then sliced, since getAll() has no
+ * filtering options.
+ *
+ * @param {string} table - Registry key or table name
+ * @param {Object} dtParams - The DataTables ajax request
+ * @returns {string} JSON { draw, recordsTotal, recordsFiltered, data, cached } or { error }
+ */
+function readTablePage(table, dtParams = {}) {
+  const draw = Number(dtParams.draw) || 0;
+  const entity = getEntity_(table);
+  if (!entity) {
+    return JSON.stringify(Object.assign({ draw: draw }, unknownTable_(table)));
+  }
+  const denied = authorizeTable_(table, "read");
+  if (denied) return JSON.stringify(Object.assign({ draw: draw }, denied));
+
+  // The same page, sort and filters are served from the read cache until the table changes
+  const query = buildTableQuery_(entity, dtParams);
+  const page = cachedRead_([entity.key], "page", query, () => readTablePage_(entity, query));
+  return JSON.stringify(Object.assign({ draw: draw }, page));
+}
+
+function readTablePage_(entity, query) {
+  const recordsTotal = countTableRows_(entity);
+  const isFiltered = Boolean(query.search) || query.columnFilters.length > 0;
+
+  const options = { sortBy: query.sortBy, sortOrder: query.sortOrder };
+  if (!isFiltered && query.pageSize > 0) {
+    options.page = Math.floor(query.start / query.pageSize) + 1;
+    options.pageSize = query.pageSize;
+  }
+
+  const response = readRecords_(entity.key, options);
+  if (response.status !== 200) {
+    return { status: response.status, error: response.error };
+  }
+
+  let rows = response.data;
+  let recordsFiltered = recordsTotal;
+
+  if (isFiltered) {
+    rows = rows.filter((record) => matchesTableQuery_(entity, record, query));
+    recordsFiltered = rows.length;
+    if (query.pageSize > 0) {
+      rows = rows.slice(query.start, query.start + query.pageSize);
+    }
+  }
+
+  return {
+    status: 200,
+    recordsTotal: recordsTotal,
+    recordsFiltered: recordsFiltered,
+    data: rows,
+  };
+}
+
+/**
+ * Normalizes a DataTables request against the table schema. Unknown column
+ * names are ignored so the client can't sort or filter on arbitrary keys.
+ */
+function buildTableQuery_(entity, dtParams) {
+  const knownFields = ["id"].concat(fieldNames_(entity.config));
+  const columns = dtParams.columns || [];
+  const order = (dtParams.order || [])[0];
+  const orderColumn = order ? columns[Number(order.column)] : null;
+
+  const sortBy =
+    orderColumn && knownFields.indexOf(orderColumn.data) !== -1
+      ? orderColumn.data
+      : "id";
+
+  const columnFilters = columns
+    .filter((column) => knownFields.indexOf(column.data) !== -1)
+    .filter((column) => column.search && String(column.search.value || "") !== "")
+    .map((column) => ({ field: column.data, value: String(column.search.value) }));
+
+  return {
+    start: Math.max(0, Number(dtParams.start) || 0),
+    pageSize: Number(dtParams.length) || -1,
+    sortBy: sortBy,
+    sortOrder: order && order.dir === "desc" ? "desc" : "asc",
+    search: String((dtParams.search && dtParams.search.value) || "").trim().toLowerCase(),
+    columnFilters: columnFilters,
+  };
+}
+
+function matchesTableQuery_(entity, record, query) {
+  const foreignKeys = entity.foreignKeys || {};
+  const fields = ["id"].concat(fieldNames_(entity.config));
+
+  const passesColumnFilters = query.columnFilters.every(({ field, value }) => {
+    const cell = searchableValue_(record[field]);
+    const type = field === "id" ? "number" : fieldType_(entity.config.fields[field]);
+    const exact = foreignKeys[field] || type === "number" || type === "boolean";
+    return exact
+      ? cell === value.toLowerCase()
+      : cell.indexOf(value.toLowerCase()) !== -1;
+  });
+  if (!passesColumnFilters) return false;
+
+  return (
+    !query.search ||
+    fields.some((field) => searchableValue_(record[field]).indexOf(query.search) !== -1)
+  );
+}
+
+function searchableValue_(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString().toLowerCase();
+  return String(value).toLowerCase();
+}
+
+/**
+ * Row count of a table sheet (minus the header row), without reading it.
+ */
+function countTableRows_(entity) {
+  const sheet = openSpreadsheet_().getSheetByName(entity.config.tableName);
+  return sheet ? Math.max(0, sheet.getLastRow() - 1) : 0;
 }
 
 /**
@@ -735,13 +5333,163 @@ function readCategoryTableWithOptions(options) {
  * @param {Object} categoryData - Category data with name and created_at
  */
 function upsertCategoryByName(categoryData) {
-  categoryData.created_at = new Date(categoryData.created_at);
-  const policy = { key: "name", value: categoryData.name };
-  const response = db.create(
-    categoryTableConfig.tableName,
-    categoryData,
-    Object.keys(categoryTableConfig.fields),
-    policy
-  );
+  const denied = authorizeTable_("category", "write");
+  if (denied) return JSON.stringify(denied);
+
+  // Under the lock so no other write adds the same name between the read and the create
+  const response = withScriptLock_("upsert the category", () => {
+    // Names match the way the unique rule compares them ("Books" = "books ")
+    const categories = readRecords_("category");
+    const existing =
+      categories.status === 200
+        ? categories.data.find(
+            (category) => uniqueValue_(category.name) === uniqueValue_(categoryData.name)
+          ) || null
+        : null;
+
+    // The matched category is the one being updated, so it doesn't count as a duplicate
+    const record = convertRecordTypes_(categoryTableConfig, categoryData);
+    const errors = validateRecord_(ENTITY_REGISTRY.category, record, {
+      id: existing ? existing.id : null,
+      existingRecords: categories.status === 200 ? categories.data : null,
+    });
+    if (Object.keys(errors).length) return validationError_(ENTITY_REGISTRY.category, errors);
+
+    // The library compares the key exactly, so it's given the stored spelling
+    const policy = { key: "name", value: existing ? existing.name : record.name };
+    const created = db.create(
+      categoryTableConfig.tableName,
+      record,
+      fieldNames_(categoryTableConfig),
+      policy
+    );
+    if (created.status === 200) {
+      writeAuditEntry_(
+        ENTITY_REGISTRY.category,
+        created.data.id,
+        existing ? "upsert_update" : "upsert_create",
+        existing,
+        created.data
+      );
+      invalidateTable_("category");
+    }
+    return created;
+  });
   return JSON.stringify(response);
 }
+
+
+// ============================================================
+// JSON REST API
+// ============================================================
+
+/**
+ * Every ENTITY_REGISTRY key is an API resource, and requests go through the
+ * same generic CRUD functions the UI uses.
+ *
+ * GET  ?resource=product            -> readRecords("product")
+ * GET  ?resource=product&id=5       -> readRecordById("product", 5)
+ * POST { resource, action, id, data } with action one of create/update/delete
+ *
+ * Add &env=staging to either URL to work on another environment (see
+ * ENVIRONMENTS); unlike the UI, API calls don't remember it.
+ */
+
+/**
+ * Entry point for POST requests (JSON API only; the UI never posts).
+ *
+ * Body: { "resource": "product", "action": "update", "id": 5, "data": {...} }
+ */
+function doPost(e) {
+  const environmentError = applyRequestedEnvironment_(e, false);
+  if (environmentError) return apiResponse_(environmentError);
+  const schemaError = schemaError_();
+  if (schemaError) return apiResponse_(schemaError);
+
+  let body;
+  try {
+    body = JSON.parse((e && e.postData && e.postData.contents) || "{}");
+  } catch (error) {
+    return apiResponse_({ status: 400, error: "Request body is not valid JSON" });
+  }
+
+  const resource = body.resource;
+  if (!getEntity_(resource)) {
+    return apiResponse_(unknownTable_(resource));
+  }
+  const denied = authorizeTable_(resource, "write");
+  if (denied) return apiResponse_(denied);
+
+  const action = body.action;
+  const needsId = action === "update" || action === "delete";
+  const needsData = action === "create" || action === "update";
+
+  if (!["create", "update", "delete"].includes(action)) {
+    return apiResponse_({
+      status: 400,
+      error: `Unknown action "${action}". Use create, update or delete`,
+    });
+  }
+  if (needsId && !isValidId_(body.id)) {
+    return apiResponse_({ status: 400, error: `Action "${action}" requires a numeric id` });
+  }
+  if (needsData && (!body.data || typeof body.data !== "object")) {
+    return apiResponse_({ status: 400, error: `Action "${action}" requires a data object` });
+  }
+
+  return apiResponse_(
+    runApiHandler_(() => {
+      if (action === "create") return createRecord_(resource, body.data);
+      if (action === "update") return updateRecord_(resource, body.data, Number(body.id));
+      return removeRecord_(resource, Number(body.id));
+    })
+  );
+}
+
+/**
+ * Handles GET requests that carry a `resource` parameter.
+ */
+function handleApiGet_(e) {
+  const params = e.parameter;
+  const resource = params.resource;
+  if (!getEntity_(resource)) {
+    return apiResponse_(unknownTable_(resource));
+  }
+  const denied = authorizeTable_(resource, "read");
+  if (denied) return apiResponse_(denied);
+
+  if (params.id === undefined) {
+    return apiResponse_(runApiHandler_(() => readRecords_(resource)));
+  }
+  if (!isValidId_(params.id)) {
+    return apiResponse_({ status: 400, error: "id must be numeric" });
+  }
+  return apiResponse_(runApiHandler_(() => readRecordById_(resource, Number(params.id))));
+}
+
+/**
+ * Runs one of the generic CRUD functions and turns any thrown error into
+ * the same {status, error} shape the library uses.
+ */
+function runApiHandler_(handler) {
+  try {
+    return handler();
+  } catch (error) {
+    console.error("API handler failed:", error);
+    return { status: 500, error: error.message };
+  }
+}
+
+function isValidId_(id) {
+  return id !== undefined && id !== null && id !== "" && !isNaN(Number(id));
+}
+
+/**
+ * Apps Script web apps always answer HTTP 200, so the real status code travels
+ * in the body exactly like the {status, data, error} responses from the library.
+ */
+function apiResponse_(payload) {
+  return ContentService.createTextOutput(JSON.stringify(payload)).setMimeType(
+    ContentService.MimeType.JSON
+  );
+}
@@ -0,0 +1,222 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadServer } = require("./helpers/server");
+
+function seed(server) {
+  const libros = server.call("createRecord", "category", { name: "Libros" }).data;
+  const musica = server.call("createRecord", "category", { name: "Música" }).data;
+  const products = [
+    { name: "Novela", price: 10 },
+    { name: "Ensayo", price: 12.5 },
+    { name: "Poesía", price: 3 },
+  ].map((product) => server.call("createRecord", "product", Object.assign({ category_fk: libros.id }, product)).data);
+  return { libros, musica, products };
+}
+
+const ids = (records) => records.map((record) => record.id);
+
+const statuses = (response) => response.data.results.map(({ id, status }) => [id, status]);
+
+test("bulk delete removes each row and reports the ones it can't", () => {
+  const server = loadServer();
+  const { libros, musica } = seed(server);
+  const cine = server.call("createRecord", "category", { name: "Cine" }).data;
+
+  const response = server.call("bulkRemoveRecords", "category", [libros.id, musica.id, 99, cine.id]);
+  assert.equal(response.status, 200);
+  assert.deepEqual(statuses(response), [
+    [libros.id, 409],
+    [musica.id, 200],
+    [99, 404],
+    [cine.id, 200],
+  ]);
+  assert.match(response.data.results[0].error, /still used by 3 PRODUCT/);
+  assert.deepEqual([response.data.succeeded, response.data.failed], [2, 2]);
+  assert.equal(response.message, "Removed 2 of 4 CATEGORY rows");
+
+  assert.deepEqual(server.sheetRecords("CATEGORY").map((row) => row.name), ["Libros"]);
+  assert.deepEqual(server.sheetRecords("DELETED_CATEGORY").map((row) => row.name), ["Música", "Cine"]);
+});
+
+test("bulk delete takes the cascade children along", () => {
+  const server = loadServer();
+  const { products } = seed(server);
+  const customer = server.call("createRecord", "customer", { first_name: "Ana", last_name: "Pérez", email: "ana@example.com", address: "" }).data;
+  const order = server.call("createRecord", "order", { customer_fk: customer.id }).data;
+  products.forEach((product) =>
+    server.call("createRecord", "order_detail", { order_id: order.id, product_id: product.id, quantity: 1 })
+  );
+
+  const reads = [];
+  const getAll = server.db.getAll;
+  server.db.getAll = function (tableName, ...rest) {
+    reads.push(tableName);
+    return getAll.call(this, tableName, ...rest);
+  };
+
+  const response = server.call("bulkRemoveRecords", "product", ids(products.slice(0, 2)));
+  assert.equal(response.data.succeeded, 2);
+  // The child table is read once for the whole selection
+  assert.deepEqual(reads, ["ORDER_DETAIL"]);
+  assert.deepEqual(server.sheetRecords("ORDER_DETAIL").map((row) => row.product_id), [products[2].id]);
+  assert.equal(
+    server.sheetRecords("AUDIT_LOG").filter((entry) => entry.action.startsWith("cascade_remove (PRODUCT")).length,
+    2
+  );
+});
+
+test("bulk edit moves rows to another category and adjusts numbers", () => {
+  const server = loadServer();
+  const { musica, products } = seed(server);
+
+  const moved = server.call("bulkUpdateRecords", "product", ids(products.slice(0, 2)), { category_fk: musica.id });
+  assert.equal(moved.status, 200);
+  assert.equal(moved.message, "Updated 2 of 2 PRODUCT rows");
+  assert.deepEqual(server.sheetRecords("PRODUCT").map((row) => row.category_fk), [musica.id, musica.id, products[2].category_fk]);
+
+  const raised = server.call("bulkUpdateRecords", "product", ids(products), { price: { percent: 10 } });
+  assert.equal(raised.data.succeeded, 3);
+  assert.deepEqual(server.sheetRecords("PRODUCT").map((row) => row.price), [11, 13.75, 3.3]);
+
+  // Rows the change would break are reported; the others are saved
+  const lowered = server.call("bulkUpdateRecords", "product", ids(products), { price: { add: -5 } });
+  assert.deepEqual(statuses(lowered), [
+    [products[0].id, 200],
+    [products[1].id, 200],
+    [products[2].id, 400],
+  ]);
+  assert.match(lowered.data.results[2].error, /price must be at least 0/);
+  assert.deepEqual(server.sheetRecords("PRODUCT").map((row) => row.price), [6, 8.75, 3.3]);
+
+  const updates = server.sheetRecords("AUDIT_LOG").filter((entry) => entry.table_name === "PRODUCT" && entry.action === "update");
+  assert.equal(updates.length, 7);
+});
+
+test("bulk edit writes the rows in one call, without update() per row", () => {
+  const server = loadServer();
+  const { musica, products } = seed(server);
+  const sheet = server.spreadsheet.getSheetByName("PRODUCT");
+  const writes = [];
+  const getRange = sheet.getRange.bind(sheet);
+  sheet.getRange = (...args) => {
+    const range = getRange(...args);
+    const setValues = range.setValues.bind(range);
+    range.setValues = (values) => {
+      writes.push(args);
+      return setValues(values);
+    };
+    return range;
+  };
+  server.db.update = () => assert.fail("bulk edit called update()");
+
+  const response = server.call("bulkUpdateRecords", "product", [products[2].id, products[0].id], { category_fk: musica.id, price: { add: 1 } });
+  assert.equal(response.data.succeeded, 2);
+  assert.deepEqual(writes, [[2, 1, 3, 5]]);
+  assert.deepEqual(server.sheetRecords("PRODUCT").map((row) => [row.price, row.category_fk]), [
+    [11, musica.id],
+    [12.5, products[1].category_fk],
+    [4, musica.id],
+  ]);
+  const [entry] = server.sheetRecords("AUDIT_LOG").filter((row) => row.action === "update" && row.record_id === products[0].id);
+  assert.deepEqual(JSON.parse(entry.changes).price, { from: 10, to: 11 });
+  assert.equal(server.call("getTableChanges").data.cursor, server.sheetRecords("AUDIT_LOG").pop().id);
+});
+
+test("bulk edit checks unique values against the rows it already changed", () => {
+  const server = loadServer();
+  const { libros, musica } = seed(server);
+
+  const response = server.call("bulkUpdateRecords", "category", [libros.id, musica.id], { name: "Cultura" });
+  assert.deepEqual(statuses(response), [
+    [libros.id, 200],
+    [musica.id, 400],
+  ]);
+  assert.match(response.data.results[1].error, /"Cultura" already exists \(#1\)/);
+  assert.deepEqual(server.sheetRecords("CATEGORY").map((row) => row.name), ["Cultura", "Música"]);
+
+  const typed = server.call("bulkUpdateRecords", "category", [musica.id], { created_at: "ayer" });
+  assert.equal(typed.errors.created_at, '"ayer" is not a valid date');
+});
+
+test("adjusting an integer field keeps whole numbers", () => {
+  const server = loadServer();
+  const { products } = seed(server);
+  const customer = server.call("createRecord", "customer", { first_name: "Ana", last_name: "Pérez", email: "ana@example.com", address: "" }).data;
+  const order = server.call("createRecord", "order", { customer_fk: customer.id }).data;
+  const detail = server.call("createRecord", "order_detail", { order_id: order.id, product_id: products[0].id, quantity: 3 }).data;
+
+  const response = server.call("bulkUpdateRecords", "order_detail", [detail.id], { quantity: { percent: 50 } });
+  assert.equal(response.data.succeeded, 1);
+  assert.equal(server.sheetRecords("ORDER_DETAIL")[0].quantity, 5);
+});
+
+test("bulk edit checks the changes before writing any row", () => {
+  const server = loadServer();
+  const { products } = seed(server);
+  const productIds = ids(products);
+
+  assert.match(server.call("bulkUpdateRecords", "product", productIds, { stock: 3 }).error, /PRODUCT has no field stock/);
+  assert.match(server.call("bulkUpdateRecords", "product", productIds, { category_fk: { add: 1 } }).error, /can only be set/);
+  assert.match(server.call("bulkUpdateRecords", "product", productIds, { price: { percent: "mucho" } }).error, /with a number/);
+  assert.equal(server.call("bulkUpdateRecords", "product", productIds, {}).status, 400);
+
+  const missingCategory = server.call("bulkUpdateRecords", "product", productIds, { category_fk: 99 });
+  assert.equal(missingCategory.status, 400);
+  assert.deepEqual(Object.keys(missingCategory.errors), ["category_fk"]);
+  assert.equal(server.call("bulkUpdateRecords", "product", productIds, { name: "" }).errors.name, "is required");
+
+  assert.deepEqual(server.sheetRecords("PRODUCT").map((row) => row.price), [10, 12.5, 3]);
+});
+
+test("bulk edit checks the referenced rows under the script lock", () => {
+  const server = loadServer();
+  const { musica, products } = seed(server);
+
+  const lockedReads = [];
+  const read = server.db.read;
+  server.db.read = function (tableName, ...rest) {
+    if (tableName === "CATEGORY") lockedReads.push(server.gas.lock.hasLock());
+    return read.call(this, tableName, ...rest);
+  };
+  assert.equal(server.call("bulkUpdateRecords", "product", ids(products), { category_fk: musica.id }).status, 200);
+  assert.ok(lockedReads.length);
+  assert.ok(lockedReads.every(Boolean));
+});
+
+test("bulk calls need a list of row ids", () => {
+  const server = loadServer();
+  const max = server.evaluate("BULK_MAX_ROWS");
+
+  assert.equal(server.call("bulkRemoveRecords", "category", []).error, "No rows selected");
+  assert.equal(server.call("bulkRemoveRecords", "category", "1,2").error, "No rows selected");
+  assert.match(server.call("bulkReadRecords", "category", [1, "dos"]).error, /positive whole numbers/);
+  const tooMany = Array.from({ length: max + 1 }, (value, index) => index + 1);
+  assert.match(server.call("bulkUpdateRecords", "category", tooMany, { name: "x" }).error, /At most 500 rows/);
+  assert.equal(server.call("bulkRemoveRecords", "shelf", [1]).status, 404);
+});
+
+test("bulk read returns the rows in the order given", () => {
+  const server = loadServer();
+  const { products } = seed(server);
+
+  const response = server.call("bulkReadRecords", "product", [products[2].id, 42, products[0].id, products[2].id]);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data.records.map((record) => record.name), ["Poesía", "Novela"]);
+  assert.ok(response.data.records[0]._version);
+  assert.deepEqual(statuses(response), [
+    [products[2].id, 200],
+    [42, 404],
+    [products[0].id, 200],
+  ]);
+});
+
+test("viewers can export a selection but not change it", () => {
+  const server = loadServer({ roles: { "vera@example.com": "viewer" } });
+  const { products } = seed(server);
+  server.setUser("vera@example.com");
+
+  assert.equal(server.call("bulkRemoveRecords", "product", ids(products)).status, 403);
+  assert.equal(server.call("bulkUpdateRecords", "product", ids(products), { price: 1 }).status, 403);
+  assert.equal(server.call("bulkReadRecords", "product", ids(products)).data.records.length, 3);
+  assert.equal(server.sheetRecords("PRODUCT").length, 3);
+});
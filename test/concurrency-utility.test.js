@@ -0,0 +1,223 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadServer } = require("./helpers/server");
+const { loadClient } = require("./helpers/client");
+
+/**
+ * A server with one product, a client in English and a table showing it.
+ */
+function setup() {
+  const server = loadServer();
+  const category = server.call("createRecord", "category", { name: "Libros" }).data;
+  const product = server.call("createRecord", "product", { name: "Novela", price: 10, category_fk: category.id }).data;
+  const client = loadClient({ server, language: "en" });
+  const table = client.createDataTable([product]);
+  const reloads = [];
+  const edit = (updatedData, overrides = {}) =>
+    client.context.manageConcurrencyEditDelete(
+      Object.assign(
+        {
+          operation: "edition",
+          entity: "product",
+          id: product.id,
+          updatedData: Object.assign({ category_fk: category.id, _version: product._version }, updatedData),
+          dataTable: table,
+          $dataTableRow: table.rowNode(product.id),
+          reloaderFunc: (...args) => reloads.push(args),
+          scriptConfig: {
+            mainFunction: "updateRecord",
+            readRecordFunc: "readRecordById",
+            table: "product",
+            requiresObject: true,
+          },
+        },
+        overrides
+      )
+    );
+  return { server, client, table, category, product, reloads, edit };
+}
+
+const icons = (client) => client.swal.calls.map((options) => options.icon).filter(Boolean);
+
+test("200 on edition updates the row and the form", async () => {
+  const { client, table, product, edit } = setup();
+  const input = client.addElement("#editProductName");
+
+  edit({ name: "Ensayo", price: 12 }, { fields: { "#editProductName": "name" } });
+  await client.settle();
+
+  assert.equal(table.records()[0].name, "Ensayo");
+  assert.equal(input.value, "Ensayo");
+  assert.notEqual(table.records()[0]._version, product._version);
+  assert.deepEqual(icons(client), ["success", "success"]);
+});
+
+test("200 on removing removes the row", async () => {
+  const { client, table, product, edit, server } = setup();
+
+  edit(null, { operation: "removing", scriptConfig: { mainFunction: "removeRecord", readRecordFunc: "readRecordById", table: "product" } });
+  await client.settle();
+
+  assert.deepEqual(table.records(), []);
+  assert.equal(server.call("readRecordById", "product", product.id).status, 404);
+});
+
+test("400 goes to onValidationError when there are field errors", async () => {
+  const { client, edit } = setup();
+  const validationErrors = [];
+
+  edit(
+    { name: "", price: 12 },
+    {
+      scriptConfig: {
+        mainFunction: "updateRecord",
+        readRecordFunc: "readRecordById",
+        table: "product",
+        requiresObject: true,
+        onValidationError: (response) => validationErrors.push(JSON.parse(JSON.stringify(response.errors))),
+      },
+    }
+  );
+  await client.settle();
+
+  assert.deepEqual(validationErrors, [{ name: "is required" }]);
+  assert.equal(client.swal.visible, false);
+});
+
+test("400 without onValidationError shows the error", async () => {
+  const { client, edit } = setup();
+
+  edit({ name: "", price: 12 });
+  await client.settle();
+
+  assert.equal(client.swal.last().icon, "error");
+  assert.equal(client.swal.last().title, "Validation error");
+});
+
+test("404 warns and reloads the table", async () => {
+  const { client, server, product, reloads, edit } = setup();
+  server.call("removeRecord", "product", product.id);
+
+  edit({ name: "Ensayo", price: 12 });
+  await client.settle();
+
+  assert.equal(client.swal.last().icon, "warning");
+  assert.deepEqual(reloads, [[true, client.evaluate("RELOAD_DELAY_MS")]]);
+});
+
+test("500 shows the server error", async () => {
+  const { client, edit } = setup();
+  client.stub("updateRecord", () => ({ status: 500, error: "Sheet unavailable" }));
+
+  edit({ name: "Ensayo", price: 12 });
+  await client.settle();
+
+  assert.equal(client.swal.last().icon, "error");
+  assert.equal(client.swal.last().text, "Sheet unavailable");
+});
+
+test("403 and unhandled statuses close the spinner with the server's message", async () => {
+  const { client, edit } = setup();
+  client.stub("updateRecord", () => ({ status: 403, error: "Your role (viewer) can't write PRODUCT" }));
+
+  edit({ name: "Ensayo", price: 12 });
+  await client.settle();
+  assert.equal(client.swal.last().title, "Not allowed");
+  assert.equal(client.swal.last().text, "Your role (viewer) can't write PRODUCT");
+
+  client.stub("updateRecord", () => ({ status: 503, error: "Schema out of date" }));
+  edit({ name: "Ensayo", price: 12 });
+  await client.settle();
+  assert.equal(client.swal.last().icon, "error");
+  assert.equal(client.swal.last().text, "Schema out of date");
+});
+
+test("the 423 fallback read reports 403 and unhandled statuses too", async () => {
+  const { client, edit } = setup();
+  client.stub("updateRecord", () => ({ status: 423, error: "busy" }));
+
+  client.stub("readRecordById", () => ({ status: 403, error: "Your role can't read PRODUCT" }));
+  edit({ name: "Ensayo", price: 12 });
+  await client.settle();
+  assert.equal(client.swal.last().title, "Not allowed");
+
+  client.stub("readRecordById", () => ({ status: 503, error: "Schema out of date" }));
+  edit({ name: "Ensayo", price: 12 });
+  await client.settle();
+  assert.equal(client.swal.last().title, "Server error");
+  assert.equal(client.swal.last().text, "Schema out of date");
+});
+
+test("423 reads the stored record and shows it instead", async () => {
+  const { client, server, table, edit } = setup();
+  const fallbacks = [];
+  server.setWriteLockBusy(true);
+
+  edit(
+    { name: "Ensayo", price: 12 },
+    {
+      scriptConfig: {
+        mainFunction: "updateRecord",
+        readRecordFunc: "readRecordById",
+        table: "product",
+        requiresObject: true,
+        onFallBack: (record) => fallbacks.push(record.name),
+      },
+    }
+  );
+  await client.settle();
+
+  assert.deepEqual(
+    client.calls.map((call) => call.name),
+    ["updateRecord", "readRecordById"]
+  );
+  assert.equal(table.records()[0].name, "Novela");
+  assert.deepEqual(fallbacks, ["Novela"]);
+});
+
+test("409 on edition opens the merge dialog; discard keeps the stored record", async () => {
+  const { client, server, table, category, product, edit } = setup();
+  server.call("updateRecord", "product", { name: "Otro", price: 10, category_fk: category.id }, product.id);
+  client.swal.responder = (options) => (options.showDenyButton ? { isDenied: true } : null);
+
+  edit({ name: "Ensayo", price: 12 });
+  await client.settle();
+
+  assert.equal(table.records()[0].name, "Otro");
+  assert.equal(server.call("readRecordById", "product", product.id).data.name, "Otro");
+});
+
+test("409 on edition re-submits the merged values against the new version", async () => {
+  const { client, server, table, category, product, edit } = setup();
+  server.call("updateRecord", "product", { name: "Otro", price: 10, category_fk: category.id }, product.id);
+  client.swal.responder = (options) => (options.preConfirm ? { isConfirmed: true, value: options.preConfirm() } : null);
+
+  edit({ name: "Ensayo", price: 12 });
+  await client.settle();
+
+  assert.equal(client.calls.filter((call) => call.name === "updateRecord").length, 2);
+  assert.equal(server.call("readRecordById", "product", product.id).data.name, "Ensayo");
+  assert.equal(table.records()[0].name, "Ensayo");
+});
+
+test("a failed call is queued and retried with the same idempotency key", async () => {
+  const { client, server, product, edit } = setup();
+  client.network.offline = true;
+
+  edit({ name: "Ensayo", price: 12 });
+  await client.settle();
+
+  const [queued] = client.context.pendingWrites("product");
+  assert.equal(queued.fn, "updateRecord");
+  assert.equal(client.swal.last().icon, "info");
+
+  client.network.offline = false;
+  client.advanceTime(client.evaluate("WRITE_QUEUE_BASE_DELAY_MS"));
+  await client.settle();
+
+  const updateCalls = client.calls.filter((call) => call.name === "updateRecord");
+  assert.equal(updateCalls.length, 2);
+  assert.equal(updateCalls[1].args.at(-1), updateCalls[0].args.at(-1));
+  assert.equal(client.context.pendingWrites("product").length, 0);
+  assert.equal(server.call("readRecordById", "product", product.id).data.name, "Ensayo");
+});
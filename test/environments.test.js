@@ -0,0 +1,271 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadServer, DEPLOYER } = require("./helpers/server");
+
+const ENVIRONMENTS = {
+  prod: { label: "Producción", spreadsheetId: "prod-sheet", production: true },
+  dev: { label: "Desarrollo", spreadsheetId: "dev-sheet", color: "violet" },
+  staging: { label: "Staging" },
+};
+
+const withEnvironments = (options = {}) =>
+  loadServer(Object.assign({ properties: { environments: JSON.stringify(ENVIRONMENTS) } }, options));
+
+const apiGet = (server, parameter) => JSON.parse(server.context.doGet({ parameter }).getContent());
+
+const records = (server, spreadsheetId, sheetName) => {
+  const sheet = server.spreadsheetById(spreadsheetId).getSheetByName(sheetName);
+  return sheet ? sheet.records() : [];
+};
+
+function seed(server) {
+  const category = server.call("createRecord", "category", { name: "Libros" }).data;
+  server.call("createRecord", "product", { name: "Novela", price: 10, category_fk: category.id });
+  const ana = server.call("createRecord", "customer", { first_name: "Ana", last_name: "Pérez", email: "ana@example.com", address: "Calle 1" }).data;
+  server.call("createRecord", "customer", { first_name: "Luis", last_name: "Gómez", email: "luis@example.com", address: "", created_at: "2024-03-01T10:00:00.000Z" });
+  server.call("removeRecord", "customer", ana.id);
+}
+
+test("without the environments property the built-in one is used", () => {
+  const server = loadServer();
+
+  assert.equal(server.evaluate("ENVIRONMENT.name"), "prod");
+  assert.equal(server.spreadsheet.getId(), "1ifW1tILJRrGXZ5vatl8iDQnM9vE5bcolfnpHB6w_o44");
+  assert.deepEqual(
+    server.call("listEnvironments").data.environments.map(({ name, production, hasSpreadsheet }) => [name, production, hasSpreadsheet]),
+    [["prod", true, true]]
+  );
+  // Production pages get no banner
+  assert.match(server.context.doGet({ parameter: {} }).getContent(), /id="environmentBanner" class="hidden /);
+});
+
+test("environments:default picks the environment a deployment serves", () => {
+  const server = loadServer({
+    properties: { environments: JSON.stringify(ENVIRONMENTS), "environments:default": "dev" },
+  });
+
+  assert.equal(server.spreadsheet.getId(), "dev-sheet");
+  assert.ok(server.spreadsheetById("dev-sheet").getSheetByName("CATEGORY"));
+  assert.equal(server.spreadsheetById("prod-sheet").getSheets().length, 0);
+  assert.match(server.context.doGet({ parameter: {} }).getContent(), /class=" bg-violet-500[^>]*>\s*<i[^>]*><\/i>Desarrollo/);
+});
+
+test("cloning copies the schema, roles and migrations, and no data by default", () => {
+  const server = withEnvironments({ roles: { "eva@example.com": "editor" } });
+  seed(server);
+
+  const response = server.call("cloneEnvironment", "dev");
+  assert.equal(response.status, 200);
+  assert.equal(response.data.copied.CUSTOMER, 0);
+
+  const prod = server.spreadsheetById("prod-sheet");
+  const dev = server.spreadsheetById("dev-sheet");
+  prod
+    .getSheets()
+    .map((sheet) => sheet.getName())
+    .forEach((sheetName) => assert.deepEqual(dev.getSheetByName(sheetName).headers, prod.getSheetByName(sheetName).headers, sheetName));
+  assert.deepEqual(records(server, "dev-sheet", "USER_ROLE").map((row) => row.email), ["eva@example.com"]);
+  assert.equal(records(server, "dev-sheet", "MIGRATIONS").length, 1);
+  assert.equal(records(server, "dev-sheet", "CATEGORY").length, 0);
+  // Dev keeps its own log: only the clone itself is in it
+  assert.ok(records(server, "dev-sheet", "AUDIT_LOG").every((entry) => entry.action === "environment_clone (prod)"));
+
+  // The dev spreadsheet is ready to use
+  assert.equal(apiGet(server, { resource: "category", env: "dev" }).status, 200);
+});
+
+test("with data, the personal fields are anonymized", () => {
+  const server = withEnvironments();
+  seed(server);
+
+  assert.equal(server.call("cloneEnvironment", "dev", true).status, 200);
+
+  assert.deepEqual(records(server, "dev-sheet", "CATEGORY").map((row) => row.name), ["Libros"]);
+  assert.deepEqual(records(server, "dev-sheet", "PRODUCT").map((row) => row.name), ["Novela"]);
+  assert.deepEqual(
+    records(server, "dev-sheet", "CUSTOMER").map(({ first_name, last_name, email, address }) => [first_name, last_name, email, address]),
+    [["first_name 2", "last_name 2", "customer2@example.com", ""]]
+  );
+  assert.deepEqual(
+    records(server, "dev-sheet", "DELETED_CUSTOMER").map(({ first_name, email }) => [first_name, email]),
+    [["first_name 1", "customer1@example.com"]]
+  );
+  assert.equal(records(server, "dev-sheet", "CUSTOMER")[0].created_at instanceof Date, true);
+  // Prod is untouched
+  assert.deepEqual(records(server, "prod-sheet", "CUSTOMER").map((row) => row.first_name), ["Luis"]);
+});
+
+test("an environment without a spreadsheet gets one on its first clone", () => {
+  const server = withEnvironments();
+
+  const response = server.call("cloneEnvironment", "staging");
+  assert.equal(response.status, 200);
+  assert.equal(response.data.spreadsheetId, "created-1");
+  assert.equal(JSON.parse(server.gas.scriptProperties.getProperty("environments")).staging.spreadsheetId, "created-1");
+  assert.ok(server.spreadsheetById("created-1").getSheetByName("ORDER_DETAIL"));
+  assert.equal(server.call("listEnvironments").data.environments.find((environment) => environment.name === "staging").hasSpreadsheet, true);
+});
+
+test("creating a spreadsheet without the environments property saves the built-in one with it", () => {
+  const server = loadServer();
+
+  server.evaluate('createEnvironmentSpreadsheet_({ name: "dev", label: "Desarrollo", dbName: "testing" })');
+  const saved = JSON.parse(server.gas.scriptProperties.getProperty("environments"));
+  assert.deepEqual(Object.keys(saved), ["prod", "dev"]);
+  assert.equal(saved.prod.spreadsheetId, server.spreadsheet.getId());
+  assert.equal(saved.dev.spreadsheetId, "created-1");
+  assert.equal(server.evaluate("FALLBACK_ENVIRONMENTS.dev"), undefined);
+});
+
+test("?env= switches the user's environment until they pick another one", () => {
+  const server = withEnvironments();
+  server.call("cloneEnvironment", "dev");
+
+  const page = server.context.doGet({ parameter: { env: "dev" } }).getContent();
+  assert.match(page, /data-environment="dev"/);
+  assert.match(page, /Desarrollo/);
+
+  // Later executions (google.script.run) go to dev
+  server.reload();
+  assert.equal(server.evaluate("ENVIRONMENT.name"), "dev");
+  server.call("createRecord", "category", { name: "Pruebas" });
+  assert.deepEqual(records(server, "dev-sheet", "CATEGORY").map((row) => row.name), ["Pruebas"]);
+  assert.equal(records(server, "prod-sheet", "CATEGORY").length, 0);
+  assert.equal(server.call("getTableChanges").data.environment, "dev");
+
+  // Other users stay on the default environment
+  server.setUser("eva@example.com");
+  server.reload();
+  assert.equal(server.evaluate("ENVIRONMENT.name"), "prod");
+
+  // Going back to the default forgets the choice
+  server.setUser(DEPLOYER);
+  server.context.doGet({ parameter: { env: "prod" } });
+  assert.equal(server.gas.scriptProperties.getProperty(`environment:${DEPLOYER}`), null);
+  server.reload();
+  assert.equal(server.evaluate("ENVIRONMENT.name"), "prod");
+});
+
+test("only admins and the listed users can switch environments", () => {
+  const server = loadServer({
+    properties: { environments: JSON.stringify(ENVIRONMENTS), "environments:users": "Luis@example.com, ana@example.com" },
+    roles: { "eva@example.com": "editor", "luis@example.com": "viewer" },
+  });
+  server.call("cloneEnvironment", "dev");
+
+  server.setUser("eva@example.com");
+  const page = server.context.doGet({ parameter: { env: "dev" } }).getContent();
+  assert.match(page, /Environment not available.*only admins can switch to the dev environment/s);
+  assert.equal(server.gas.scriptProperties.getProperty("environment:eva@example.com"), null);
+  assert.equal(apiGet(server, { resource: "category", env: "dev" }).status, 403);
+  const post = JSON.parse(server.context.doPost({ parameter: { env: "dev" }, postData: { contents: "{}" } }).getContent());
+  assert.equal(post.status, 403);
+  // The default environment is always open
+  assert.equal(apiGet(server, { resource: "category", env: "prod" }).status, 200);
+
+  server.setUser("luis@example.com");
+  server.reload();
+  assert.equal(apiGet(server, { resource: "category", env: "dev" }).status, 200);
+  server.context.doGet({ parameter: { env: "dev" } });
+  assert.equal(server.gas.scriptProperties.getProperty("environment:luis@example.com"), "dev");
+});
+
+test("a saved environment is dropped once the user may no longer switch", () => {
+  const server = loadServer({
+    properties: { environments: JSON.stringify(ENVIRONMENTS), "environments:users": "luis@example.com" },
+    roles: { "eva@example.com": "admin" },
+  });
+  server.call("cloneEnvironment", "dev");
+  ["eva@example.com", "luis@example.com"].forEach((email) => {
+    server.setUser(email);
+    server.context.doGet({ parameter: { env: "dev" } });
+  });
+
+  // Luis leaves the allow-list, Eva is no longer an admin
+  server.gas.scriptProperties.setProperty("environments:users", "");
+  server.setUser(DEPLOYER);
+  server.reload();
+  const eva = server.sheetRecords("USER_ROLE").find((row) => row.email === "eva@example.com");
+  server.call("updateRecord", "user_role", { role: "editor" }, eva.id);
+  server.gas.scriptCache.values.clear();
+
+  ["eva@example.com", "luis@example.com"].forEach((email) => {
+    server.setUser(email);
+    server.reload();
+    assert.equal(server.evaluate("ENVIRONMENT.name"), "prod", email);
+    assert.equal(server.gas.scriptProperties.getProperty(`environment:${email}`), null, email);
+  });
+});
+
+test("API calls name the environment on each request", () => {
+  const server = withEnvironments();
+  server.call("cloneEnvironment", "dev");
+  server.call("createRecord", "category", { name: "Libros" });
+
+  assert.equal(apiGet(server, { resource: "category", env: "dev" }).data.length, 0);
+  assert.equal(server.gas.scriptProperties.getProperty(`environment:${DEPLOYER}`), null);
+
+  assert.equal(apiGet(server, { resource: "category", env: "test" }).status, 400);
+  const post = JSON.parse(server.context.doPost({ parameter: { env: "test" }, postData: { contents: "{}" } }).getContent());
+  assert.match(post.error, /Unknown environment "test"\. Available: prod, dev, staging/);
+  assert.match(server.context.doGet({ parameter: { env: "<b>test</b>" } }).getContent(), /Unknown environment.*&lt;b&gt;/s);
+});
+
+test("cached reads and the change feed are kept per environment", () => {
+  const server = withEnvironments();
+  server.call("cloneEnvironment", "dev");
+  server.call("createRecord", "category", { name: "Libros" });
+  const query = { draw: 1, start: 0, length: 10 };
+  server.call("readTablePage", "category", query);
+  assert.equal(server.call("readTablePage", "category", query).cached, true);
+  const prodCursor = server.call("getTableChanges").data.cursor;
+
+  server.context.doGet({ parameter: { env: "dev" } });
+  server.reload();
+  const page = server.call("readTablePage", "category", query);
+  assert.equal(page.cached, false);
+  assert.equal(page.recordsTotal, 0);
+
+  // Open dev tables reload after another clone
+  const devCursor = server.call("getTableChanges").data.cursor;
+  assert.notEqual(devCursor, prodCursor);
+  server.context.doGet({ parameter: { env: "prod" } });
+  server.reload();
+  server.call("cloneEnvironment", "dev", true);
+  server.context.doGet({ parameter: { env: "dev" } });
+  server.reload();
+  assert.equal(server.call("getTableChanges", devCursor).data.reset, true);
+});
+
+test("production environments are never cloned into, and only admins clone", () => {
+  const server = withEnvironments({ roles: { "eva@example.com": "editor" } });
+
+  assert.match(server.call("cloneEnvironment", "prod").error, /current environment/);
+  assert.match(server.call("cloneEnvironment", "test").error, /Unknown environment/);
+  server.call("cloneEnvironment", "dev");
+  server.context.doGet({ parameter: { env: "dev" } });
+  server.reload();
+  const response = server.call("cloneEnvironment", "prod");
+  assert.equal(response.status, 400);
+  assert.match(response.error, /production environment/);
+
+  server.setUser("eva@example.com");
+  server.reload();
+  assert.equal(server.call("cloneEnvironment", "dev").status, 403);
+  assert.equal(server.call("listEnvironments").status, 403);
+});
+
+test("scheduled snapshots are taken of the default environment", () => {
+  const server = withEnvironments();
+  server.call("cloneEnvironment", "dev");
+  server.call("setSnapshotSchedule", 24);
+  server.context.doGet({ parameter: { env: "dev" } });
+  server.reload();
+
+  // The trigger runs as the owner, whose last choice was dev
+  const event = { triggerUid: server.gas.state.triggers[0].uid };
+  assert.equal(JSON.parse(server.context.runScheduledSnapshot(event)).status, 200);
+
+  const folders = Object.values(server.gas.drive.folders);
+  assert.deepEqual(folders.map((folder) => [folder.name, folder.files.length]), [["prod snapshots", 1]]);
+});
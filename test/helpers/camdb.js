@@ -0,0 +1,334 @@
+/**
+ * In-memory stand-in for the CamDB library (CamDB.init(name, spreadsheetId)).
+ *
+ * Tables live in a FakeSpreadsheet (see gas.js), one sheet per table with a
+ * header row, so code reading the sheets directly (history, integrity scan,
+ * change feed) sees the same rows the library writes. Every call answers
+ * { status, data, error, message } like the library does.
+ *
+ * It covers the behaviour server.js relies on, not the whole library:
+ * - createTable() creates the sheet and its history sheet; putTableIntoDbContext()
+ *   only registers the config, like at load time in server.js
+ * - ids are max(id) + 1; removed rows move to the history table with `deleted_at`
+ * - field types and `default` / `treatNullAsMissing` are applied on create
+ * - removeWithCascade() also moves the junction rows pointing at the record
+ * - `lockBusy` makes every write fail the way a lock timeout does (a 500 that
+ *   mentions the write lock)
+ */
+
+const FIELD_TYPES = ["string", "number", "boolean", "date"];
+
+class FakeCamDB {
+  constructor(spreadsheet) {
+    this.spreadsheet = spreadsheet;
+    this.tables = {};
+    this.junctions = [];
+    this.lockBusy = false;
+    this.lastCreationResult = null;
+  }
+
+  // ---------- schema ----------
+
+  createTable(config) {
+    this.putTableIntoDbContext(config);
+    const fields = ["id"].concat(Object.keys(config.fields));
+    this.spreadsheet.ensureSheet(config.tableName, fields);
+    if (config.historyTableName) {
+      this.spreadsheet.ensureSheet(config.historyTableName, fields.concat("deleted_at"));
+    }
+    return { status: 200, message: `Table ${config.tableName} created` };
+  }
+
+  putTableIntoDbContext(config) {
+    this.tables[config.tableName] = config;
+    return { status: 200, message: `Table ${config.tableName} added to the context` };
+  }
+
+  createManyToManyTableConfig({ entity1TableName, entity2TableName, fieldsRelatedToBothEntities = {} }) {
+    const first = `${entity1TableName.toLowerCase()}_id`;
+    const second = `${entity2TableName.toLowerCase()}_id`;
+    const config = {
+      tableName: `${entity1TableName}_DETAIL`,
+      historyTableName: `DELETED_${entity1TableName}_DETAIL`,
+      fields: Object.assign(
+        { [first]: "number", [second]: "number" },
+        fieldsRelatedToBothEntities,
+        { created_at: "date" }
+      ),
+    };
+    this.junctions.push({
+      tableName: config.tableName,
+      links: { [entity1TableName]: first, [entity2TableName]: second },
+    });
+    return { status: 200, data: config };
+  }
+
+  // ---------- writes ----------
+
+  create(tableName, record, keyOrder, addUpdatePolicy = null) {
+    const config = this.tables[tableName];
+    if (!config) return this.unknownTable_(tableName);
+    if (this.lockBusy) return this.lockError_();
+
+    const converted = this.convert_(config, record, true);
+    if (converted.error) return { status: 400, error: converted.error };
+
+    if (addUpdatePolicy) {
+      const existing = this.rows_(tableName).find(
+        (row) => String(row[addUpdatePolicy.key]) === String(addUpdatePolicy.value)
+      );
+      if (existing) return this.update(tableName, existing.id, record, keyOrder);
+    }
+
+    const sheet = this.sheet_(tableName);
+    const id = this.rows_(tableName).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+    const stored = Object.assign({ id }, converted.record);
+    sheet.appendRecord(stored);
+    this.lastCreationResult = { status: 200, data: stored, message: `Created ${tableName} #${id}` };
+    return { status: 200, data: stored, message: `Record created in ${tableName}` };
+  }
+
+  createWithLogs(tableName, record, keyOrder) {
+    return this.create(tableName, record, keyOrder);
+  }
+
+  update(tableName, id, record, keyOrder) {
+    const config = this.tables[tableName];
+    if (!config) return this.unknownTable_(tableName);
+    if (this.lockBusy) return this.lockError_();
+
+    const sheet = this.sheet_(tableName);
+    const current = this.rows_(tableName).find((row) => Number(row.id) === Number(id));
+    if (!current) return this.notFound_(tableName, id);
+
+    const converted = this.convert_(config, record, false);
+    if (converted.error) return { status: 400, error: converted.error };
+
+    const stored = Object.assign({}, current, converted.record, { id: current.id });
+    delete stored._row;
+    sheet.writeRecord(current._row, stored);
+    return { status: 200, data: stored, message: `Record updated in ${tableName}` };
+  }
+
+  updateWithLogs(tableName, id, record, keyOrder) {
+    return this.update(tableName, id, record, keyOrder);
+  }
+
+  remove(tableName, historyTableName, id) {
+    if (!this.tables[tableName]) return this.unknownTable_(tableName);
+    if (this.lockBusy) return this.lockError_();
+
+    const current = this.rows_(tableName).find((row) => Number(row.id) === Number(id));
+    if (!current) return this.notFound_(tableName, id);
+
+    this.moveToHistory_(tableName, historyTableName, [current]);
+    return { status: 200, data: { id: current.id }, message: `Record ${id} removed from ${tableName}` };
+  }
+
+  removeWithCascade(tableName, historyTableName, id) {
+    if (!this.tables[tableName]) return this.unknownTable_(tableName);
+    if (this.lockBusy) return this.lockError_();
+
+    const current = this.rows_(tableName).find((row) => Number(row.id) === Number(id));
+    if (!current) return this.notFound_(tableName, id);
+
+    // Junction rows first, so no row ever points at a missing parent
+    let cascaded = 0;
+    this.junctions
+      .filter((junction) => junction.links[tableName])
+      .forEach((junction) => {
+        const field = junction.links[tableName];
+        const rows = this.rows_(junction.tableName).filter((row) => Number(row[field]) === Number(id));
+        this.moveToHistory_(junction.tableName, this.tables[junction.tableName].historyTableName, rows);
+        cascaded += rows.length;
+      });
+
+    this.moveToHistory_(tableName, historyTableName, [current]);
+    return {
+      status: 200,
+      data: { id: current.id, cascaded },
+      message: `Record ${id} removed from ${tableName} with ${cascaded} related records`,
+    };
+  }
+
+  deleteRelatedJunctionRecords(junctionTableName, historyTableName, fieldIndex, id) {
+    if (!this.tables[junctionTableName]) return this.unknownTable_(junctionTableName);
+    if (this.lockBusy) return this.lockError_();
+
+    // fieldIndex is the 1-based sheet column, id being column 1
+    const field = this.sheet_(junctionTableName).headers[fieldIndex - 1];
+    const rows = this.rows_(junctionTableName).filter((row) => Number(row[field]) === Number(id));
+    this.moveToHistory_(junctionTableName, historyTableName, rows);
+    return { status: 200, data: { deleted: rows.length }, message: `${rows.length} junction records deleted` };
+  }
+
+  checkTableIntegrity(tableName, historyTableName) {
+    if (!this.tables[tableName]) return this.unknownTable_(tableName);
+    const junction = this.junctions.find((candidate) => candidate.tableName === tableName);
+    if (!junction) return { status: 200, data: { invalid: 0 }, message: "Nothing to check" };
+
+    const invalid = this.rows_(tableName).filter((row) =>
+      Object.entries(junction.links).some(
+        ([parentTable, field]) => !this.rows_(parentTable).some((parent) => Number(parent.id) === Number(row[field]))
+      )
+    );
+    this.moveToHistory_(tableName, historyTableName, invalid);
+    return { status: 200, data: { invalid: invalid.length }, message: `${invalid.length} invalid records moved to history` };
+  }
+
+  applyColorScheme(tableName, colorScheme) {
+    if (!this.sheet_(tableName)) return this.unknownTable_(tableName);
+    return { status: 200, message: `Applied ${colorScheme} to ${tableName}` };
+  }
+
+  // ---------- reads ----------
+
+  read(tableName, id) {
+    if (!this.tables[tableName]) return this.unknownTable_(tableName);
+    const record = this.rows_(tableName).find((row) => Number(row.id) === Number(id));
+    return record ? { status: 200, data: this.strip_(record) } : this.notFound_(tableName, id);
+  }
+
+  readIdList(tableName, ids) {
+    if (!this.tables[tableName]) return this.unknownTable_(tableName);
+    const rows = this.rows_(tableName);
+    const data = [];
+    const notFound = [];
+    ids.forEach((id) => {
+      const record = rows.find((row) => Number(row.id) === Number(id));
+      if (record) data.push(this.strip_(record));
+      else notFound.push(id);
+    });
+    return { status: 200, data, notFound };
+  }
+
+  getAll(tableName, options = {}, useCache = false) {
+    if (!this.tables[tableName]) return this.unknownTable_(tableName);
+    let rows = this.rows_(tableName).map((row) => this.strip_(row));
+
+    const sortBy = options.sortBy || "id";
+    const direction = options.sortOrder === "desc" ? -1 : 1;
+    rows.sort((a, b) => (a[sortBy] > b[sortBy] ? 1 : a[sortBy] < b[sortBy] ? -1 : 0) * direction);
+
+    if (options.page && options.pageSize) {
+      const start = (options.page - 1) * options.pageSize;
+      rows = rows.slice(start, start + options.pageSize);
+    }
+    return { status: 200, data: rows, message: `${rows.length} records read from ${tableName}` };
+  }
+
+  getRelatedRecords(foreignKey, tableName, field, fieldIndex, options = {}, useCache = false) {
+    const response = this.getAll(tableName, options, useCache);
+    if (response.status !== 200) return response;
+    const data = response.data.filter((row) => Number(row[field]) === Number(foreignKey));
+    return { status: 200, data, message: `${data.length} related records` };
+  }
+
+  getRelatedRecordsWithLogs(...args) {
+    return this.getRelatedRecords(...args);
+  }
+
+  getRelatedRecordsWithTextFinder(...args) {
+    return this.getRelatedRecords(...args);
+  }
+
+  getRelatedRecordsWithFilter(...args) {
+    return this.getRelatedRecords(...args);
+  }
+
+  getJunctionRecords(junctionTableName, sourceTableName, targetTableName, sourceId, options = {}) {
+    const junction = this.junctions.find((candidate) => candidate.tableName === junctionTableName);
+    if (!junction) return this.unknownTable_(junctionTableName);
+
+    const sourceField = junction.links[sourceTableName];
+    const targetField = junction.links[targetTableName];
+    const targets = this.rows_(targetTableName);
+    const data = this.rows_(junctionTableName)
+      .filter((row) => Number(row[sourceField]) === Number(sourceId))
+      .map((row) => {
+        const target = targets.find((candidate) => Number(candidate.id) === Number(row[targetField]));
+        return target ? Object.assign(this.strip_(target), { relationship: this.strip_(row) }) : null;
+      })
+      .filter(Boolean);
+    return {
+      status: 200,
+      data,
+      message: `${data.length} related records`,
+      metadata: { junctionTable: junctionTableName, sourceTable: sourceTableName, targetTable: targetTableName },
+    };
+  }
+
+  getCreationResult() {
+    return this.lastCreationResult || { status: 404, error: "Nothing created yet" };
+  }
+
+  // ---------- helpers ----------
+
+  sheet_(tableName) {
+    return this.spreadsheet.getSheetByName(tableName);
+  }
+
+  rows_(tableName) {
+    const sheet = this.sheet_(tableName);
+    return sheet ? sheet.records() : [];
+  }
+
+  strip_(row) {
+    const record = Object.assign({}, row);
+    delete record._row;
+    return record;
+  }
+
+  moveToHistory_(tableName, historyTableName, rows) {
+    const history = this.sheet_(historyTableName);
+    rows.forEach((row) => {
+      if (history) history.appendRecord(Object.assign(this.strip_(row), { deleted_at: new Date() }));
+    });
+    this.sheet_(tableName).deleteRowNumbers(rows.map((row) => row._row));
+  }
+
+  convert_(config, record, isCreate) {
+    const converted = {};
+    const errors = [];
+    Object.entries(config.fields).forEach(([field, definition]) => {
+      const spec = typeof definition === "string" ? { type: definition } : definition;
+      if (!(field in record) && !isCreate) return;
+
+      let value = record[field];
+      const missing = value === undefined || (value === null && spec.treatNullAsMissing);
+      if (missing && isCreate && spec.default !== undefined) value = spec.default;
+      if (value === undefined || value === null || value === "") {
+        converted[field] = value === undefined ? "" : value;
+        return;
+      }
+
+      if (spec.type === "number") {
+        if (isNaN(Number(value))) errors.push(`${field}: "${value}" is not a number`);
+        converted[field] = Number(value);
+      } else if (spec.type === "boolean") {
+        converted[field] = value === true || value === "true";
+      } else if (spec.type === "date") {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) errors.push(`${field}: "${value}" is not a date`);
+        converted[field] = date;
+      } else {
+        converted[field] = FIELD_TYPES.includes(spec.type) ? String(value) : value;
+      }
+    });
+    return errors.length ? { error: errors.join(", ") } : { record: converted };
+  }
+
+  unknownTable_(tableName) {
+    return { status: 404, error: `Table ${tableName} not found in the context` };
+  }
+
+  notFound_(tableName, id) {
+    return { status: 404, error: `Record with id ${id} not found in ${tableName}` };
+  }
+
+  lockError_() {
+    return { status: 500, error: "Could not acquire the write lock, try again later" };
+  }
+}
+
+module.exports = { FakeCamDB };
@@ -0,0 +1,363 @@
+/**
+ * Runs the client scripts (i18n.js.html, concurrency-utility.js.html) in a
+ * vm context with a fake google.script.run wired to a loadServer() instance,
+ * plus the little of jQuery, SweetAlert2, DataTables and the browser they use.
+ *
+ * main.js.html is not loaded: it builds its modules from the DOM and needs
+ * a browser, so its create/edit/delete handlers have no tests. What runs
+ * here is the shared client code they call.
+ *
+ * google.script.run calls are asynchronous like the real ones; await
+ * client.settle() to let them (and their handlers) finish. Timers run on a
+ * fake clock: client.advanceTime(ms).
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { ROOT } = require("./server");
+
+const CLIENT_FILES = ["i18n.js.html", "concurrency-utility.js.html"];
+
+function readScript(file) {
+  return fs
+    .readFileSync(path.join(ROOT, file), "utf8")
+    .replace(/^\s*<script>/, "")
+    .replace(/<\/script>\s*$/, "");
+}
+
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// ---------- jQuery ----------
+
+class FakeElement {
+  constructor(props = {}) {
+    this.value = "";
+    this.textContent = "";
+    this.attributes = {};
+    this.data = {};
+    this.properties = {};
+    this.listeners = {};
+    // selector => [FakeElement], what find(selector) returns
+    this.children = {};
+    Object.assign(this, props);
+  }
+}
+
+function createJQuery(registry, readyCallbacks) {
+  const wrap = (elements) => {
+    const collection = Object.assign(Object.create(collectionMethods), { length: elements.length });
+    elements.forEach((element, index) => {
+      collection[index] = element;
+    });
+    return collection;
+  };
+
+  const collectionMethods = {
+    toArray() {
+      return Array.from({ length: this.length }, (_, index) => this[index]);
+    },
+    each(callback) {
+      this.toArray().forEach((element, index) => callback.call(element, index, element));
+      return this;
+    },
+    find(selector) {
+      return wrap(this.toArray().flatMap((element) => (element.children && element.children[selector]) || []));
+    },
+    val(value) {
+      if (value === undefined) return this.length ? this[0].value : undefined;
+      return this.each((i, element) => {
+        element.value = value;
+      });
+    },
+    text(value) {
+      if (value === undefined) return this.length ? this[0].textContent : "";
+      return this.each((i, element) => {
+        element.textContent = String(value);
+      });
+    },
+    html() {
+      return this.length ? escapeHtml(this[0].textContent) : "";
+    },
+    attr(name, value) {
+      if (value === undefined) return this.length ? this[0].attributes[name] : undefined;
+      return this.each((i, element) => {
+        element.attributes[name] = value;
+      });
+    },
+    data(name) {
+      return this.length ? this[0].data[name] : undefined;
+    },
+    prop(name, value) {
+      if (value === undefined) return this.length ? this[0].properties[name] : undefined;
+      return this.each((i, element) => {
+        element.properties[name] = value;
+      });
+    },
+    on(event, handler) {
+      return this.each((i, element) => {
+        (element.listeners[event] = element.listeners[event] || []).push(handler);
+      });
+    },
+    trigger(event) {
+      return this.each((i, element) => {
+        (element.listeners[event] || []).forEach((handler) => handler.call(element));
+      });
+    },
+  };
+  ["addClass", "removeClass", "toggleClass", "show", "hide", "empty", "append", "remove"].forEach((method) => {
+    collectionMethods[method] = function () {
+      return this;
+    };
+  });
+
+  return function $(target) {
+    if (typeof target === "function") {
+      readyCallbacks.push(target);
+      return wrap([]);
+    }
+    if (typeof target === "string") {
+      if (target.startsWith("<")) return wrap([new FakeElement()]);
+      return wrap(registry[target] ? [registry[target]] : []);
+    }
+    if (target && target.length !== undefined && target.toArray) return target;
+    return wrap(target ? [target] : []);
+  };
+}
+
+// ---------- SweetAlert2 ----------
+
+function createSwal() {
+  const swal = {
+    calls: [],
+    visible: false,
+    popup: new FakeElement(),
+    // (options) => result; dismissed by default
+    responder: null,
+    fire(...args) {
+      const options = typeof args[0] === "object" ? args[0] : { title: args[0], text: args[1], icon: args[2] };
+      swal.calls.push(options);
+      swal.visible = true;
+      const result = swal.responder ? swal.responder(options) : null;
+      return Promise.resolve(result || { isConfirmed: false, isDenied: false, isDismissed: true });
+    },
+    close() {
+      swal.visible = false;
+    },
+    isVisible: () => swal.visible,
+    showLoading() {},
+    getPopup: () => swal.popup,
+    last: () => swal.calls[swal.calls.length - 1],
+  };
+  return swal;
+}
+
+// ---------- DataTables ----------
+
+/**
+ * Just enough of a DataTables API for manageConcurrencyEditDelete:
+ * rows().indexes(), row(index | node).data() / .data(record) / .remove() / .draw().
+ */
+function createDataTable(records) {
+  const rows = records.map((data, index) => ({ data, removed: false, node: { rowIndex: index } }));
+  const indexOf = (selector) => (typeof selector === "number" ? selector : selector.rowIndex);
+
+  return {
+    draws: 0,
+    rows() {
+      return {
+        indexes: () => rows.map((row, index) => index).filter((index) => !rows[index].removed),
+        nodes: () => rows.filter((row) => !row.removed).map((row) => row.node),
+      };
+    },
+    row(selector) {
+      const table = this;
+      const row = rows[indexOf(selector)];
+      return {
+        data(value) {
+          if (value === undefined) return row.data;
+          row.data = value;
+          return this;
+        },
+        remove() {
+          row.removed = true;
+          return this;
+        },
+        draw() {
+          table.draws++;
+          return this;
+        },
+        node: () => row.node,
+      };
+    },
+    // The <tr> of a record, what main.js passes as $dataTableRow
+    rowNode(id) {
+      const row = rows.find((candidate) => !candidate.removed && candidate.data.id === id);
+      return row ? row.node : null;
+    },
+    records: () => rows.filter((row) => !row.removed).map((row) => row.data),
+  };
+}
+
+// ---------- browser ----------
+
+function createStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+    clear: () => values.clear(),
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.server - A loadServer() instance
+ * @param {string} [options.language] - What doGet put in data-language
+ * @returns {Object} The client environment (see the properties below)
+ */
+function loadClient({ server, language = "es" } = {}) {
+  const registry = {};
+  const readyCallbacks = [];
+  const swal = createSwal();
+  const calls = [];
+  const stubs = {};
+  const network = { offline: false };
+  const windowListeners = {};
+  const opened = [];
+  let inFlight = 0;
+
+  // Fake clock: setTimeout callbacks run when advanceTime() passes them
+  let now = Date.now();
+  let timers = [];
+  let nextTimerId = 1;
+  class ClientDate extends Date {
+    constructor(...args) {
+      if (args.length) super(...args);
+      else super(now);
+    }
+
+    static now() {
+      return now;
+    }
+  }
+
+  const dispatch = (name, args, handlers) => {
+    inFlight--;
+    if (network.offline) {
+      if (handlers.failure) handlers.failure(new Error("NetworkError: Connection failure due to HTTP 0"));
+      return;
+    }
+    let result;
+    try {
+      result = stubs[name] ? stubs[name](...args) : server.context[name](...JSON.parse(JSON.stringify(args)));
+    } catch (error) {
+      if (handlers.failure) handlers.failure(error);
+      return;
+    }
+    if (handlers.success) handlers.success(typeof result === "string" ? result : JSON.stringify(result));
+  };
+
+  const makeRunner = (handlers) =>
+    new Proxy(
+      {},
+      {
+        get(target, name) {
+          if (name === "withSuccessHandler") return (success) => makeRunner(Object.assign({}, handlers, { success }));
+          if (name === "withFailureHandler") return (failure) => makeRunner(Object.assign({}, handlers, { failure }));
+          if (name === "withUserObject") return () => makeRunner(handlers);
+          return (...args) => {
+            calls.push({ name, args });
+            inFlight++;
+            setImmediate(() => dispatch(name, args, handlers));
+          };
+        },
+      }
+    );
+
+  const logs = [];
+  const record = (level) => (...args) => logs.push({ level, message: args.map(String).join(" ") });
+
+  const sandbox = {
+    console: { log: record("log"), info: record("info"), warn: record("warn"), error: record("error") },
+    Date: ClientDate,
+    $: createJQuery(registry, readyCallbacks),
+    Swal: swal,
+    google: { script: { run: makeRunner({}) } },
+    localStorage: createStorage(),
+    navigator: { onLine: true },
+    crypto: require("node:crypto").webcrypto,
+    document: {
+      hidden: false,
+      documentElement: { lang: "", dataset: { language } },
+      addEventListener() {},
+    },
+    setTimeout(callback, delay = 0) {
+      const id = nextTimerId++;
+      timers.push({ id, at: now + delay, callback });
+      return id;
+    },
+    clearTimeout(id) {
+      timers = timers.filter((timer) => timer.id !== id);
+    },
+    addEventListener(event, handler) {
+      (windowListeners[event] = windowListeners[event] || []).push(handler);
+    },
+    open(url, target) {
+      opened.push({ url, target });
+    },
+  };
+  sandbox.window = sandbox;
+
+  const context = vm.createContext(sandbox);
+  CLIENT_FILES.forEach((file) => vm.runInContext(readScript(file), context, { filename: file }));
+  readyCallbacks.splice(0).forEach((callback) => callback());
+
+  return {
+    context,
+    swal,
+    calls,
+    network,
+    logs,
+    opened,
+    createDataTable,
+    // Reads top-level constants (const/let are not properties of the context)
+    evaluate(expression) {
+      return vm.runInContext(expression, context);
+    },
+    /** Registers an element for $(selector), e.g. an edit form input */
+    addElement(selector, props = {}) {
+      registry[selector] = new FakeElement(props);
+      return registry[selector];
+    },
+    /** Answers a server function with `handler(...args)` instead of server.js */
+    stub(name, handler) {
+      stubs[name] = handler;
+    },
+    /** Waits until every google.script.run call and its handlers are done */
+    async settle() {
+      for (let idle = 0; idle < 3; ) {
+        await new Promise((resolve) => setImmediate(resolve));
+        idle = inFlight === 0 ? idle + 1 : 0;
+      }
+    },
+    /** Moves the fake clock and runs the timers that came due */
+    advanceTime(ms) {
+      now += ms;
+      const due = timers.filter((timer) => timer.at <= now);
+      timers = timers.filter((timer) => timer.at > now);
+      due.forEach((timer) => timer.callback());
+    },
+    dispatchWindowEvent(event) {
+      (windowListeners[event] || []).forEach((handler) => handler());
+    },
+  };
+}
+
+module.exports = { loadClient, createDataTable, FakeElement };
@@ -0,0 +1,655 @@
+/**
+ * In-memory stand-ins for the Apps Script services server.js uses:
+ * SpreadsheetApp, CacheService, LockService, PropertiesService, Session,
+ * Utilities, ScriptApp (service URL, time-driven triggers), DriveApp, HtmlService
+ * and ContentService.
+ *
+ * Only the methods server.js calls are implemented. createGasServices()
+ * returns the globals plus a few switches the tests flip (current user,
+ * busy lock).
+ */
+
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+// CacheService limits: longer keys or bigger values throw in Apps Script too
+const CACHE_KEY_MAX_LENGTH = 250;
+const CACHE_VALUE_MAX_BYTES = 100 * 1024;
+
+// ---------- SpreadsheetApp ----------
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    Object.assign(this, { sheet, row, column, numRows, numColumns });
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const source = this.sheet.rowValues(this.row + r);
+      values.push(source.slice(this.column - 1, this.column - 1 + this.numColumns));
+    }
+    return values;
+  }
+
+  setValue(value) {
+    this.sheet.setCell(this.row, this.column, value);
+    return this;
+  }
+
+  setValues(values) {
+    values.forEach((rowValues, r) =>
+      rowValues.forEach((value, c) => this.sheet.setCell(this.row + r, this.column + c, value))
+    );
+    return this;
+  }
+
+  clearContent() {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) this.sheet.setCell(this.row + r, this.column + c, "");
+    }
+    this.sheet.dropTrailingEmptyRows();
+    return this;
+  }
+}
+
+class FakeSheet {
+  constructor(name, headers) {
+    this.name = name;
+    this.headers = headers.slice();
+    this.rows = [];
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getLastRow() {
+    return this.rows.length ? this.rows.length + 1 : 1;
+  }
+
+  getLastColumn() {
+    return this.headers.length;
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, this.getLastRow(), this.getLastColumn());
+  }
+
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  deleteRow(rowNumber) {
+    this.rows.splice(rowNumber - 2, 1);
+  }
+
+  deleteRows(rowNumber, howMany) {
+    this.rows.splice(rowNumber - 2, howMany);
+  }
+
+  insertColumnAfter(column) {
+    this.headers.splice(column, 0, "");
+    this.rows.forEach((values) => values.splice(column, 0, ""));
+    return this;
+  }
+
+  deleteColumn(column) {
+    this.headers.splice(column - 1, 1);
+    this.rows.forEach((values) => values.splice(column - 1, 1));
+    return this;
+  }
+
+  clearContents() {
+    this.headers = [];
+    this.rows = [];
+    return this;
+  }
+
+  // Row 1 is the header row
+  rowValues(rowNumber) {
+    if (rowNumber === 1) return this.headers.slice();
+    return (this.rows[rowNumber - 2] || this.headers.map(() => "")).slice();
+  }
+
+  setCell(rowNumber, column, value) {
+    if (rowNumber === 1) {
+      this.headers[column - 1] = value;
+      return;
+    }
+    while (this.rows.length < rowNumber - 1) this.rows.push(this.headers.map(() => ""));
+    this.rows[rowNumber - 2][column - 1] = value;
+  }
+
+  // Like Sheets, getLastRow() stops at the last row with content
+  dropTrailingEmptyRows() {
+    while (this.rows.length && this.rows[this.rows.length - 1].every((value) => value === "")) this.rows.pop();
+  }
+
+  // ---------- used by the CamDB fake and the tests ----------
+
+  records() {
+    return this.rows.map((values, index) => {
+      const record = { _row: index + 2 };
+      this.headers.forEach((header, column) => {
+        record[header] = values[column];
+      });
+      return record;
+    });
+  }
+
+  appendRecord(record) {
+    this.rows.push(this.headers.map((header) => (record[header] === undefined ? "" : record[header])));
+  }
+
+  writeRecord(rowNumber, record) {
+    this.rows[rowNumber - 2] = this.headers.map((header) => (record[header] === undefined ? "" : record[header]));
+  }
+
+  deleteRowNumbers(rowNumbers) {
+    rowNumbers
+      .slice()
+      .sort((a, b) => b - a)
+      .forEach((rowNumber) => this.deleteRow(rowNumber));
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(id = "", name = "") {
+    this.id = id;
+    this.name = name;
+    this.sheets = {};
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getSheetByName(name) {
+    return this.sheets[name] || null;
+  }
+
+  getSheets() {
+    return Object.values(this.sheets);
+  }
+
+  insertSheet(name) {
+    this.sheets[name] = new FakeSheet(name, []);
+    return this.sheets[name];
+  }
+
+  ensureSheet(name, headers) {
+    if (!this.sheets[name]) this.sheets[name] = new FakeSheet(name, headers);
+    return this.sheets[name];
+  }
+}
+
+// ---------- CacheService / PropertiesService ----------
+
+class FakeCache {
+  constructor() {
+    this.values = new Map();
+  }
+
+  get(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  getAll(keys) {
+    return Object.fromEntries(keys.filter((key) => this.values.has(key)).map((key) => [key, this.values.get(key)]));
+  }
+
+  put(key, value, expirationInSeconds) {
+    if (String(key).length > CACHE_KEY_MAX_LENGTH) throw new Error(`Cache key too long: ${key}`);
+    if (Buffer.byteLength(String(value)) > CACHE_VALUE_MAX_BYTES) throw new Error("Argument too large: value");
+    this.values.set(key, String(value));
+  }
+
+  putAll(values, expirationInSeconds) {
+    Object.entries(values).forEach(([key, value]) => this.put(key, value, expirationInSeconds));
+  }
+
+  remove(key) {
+    this.values.delete(key);
+  }
+
+  removeAll(keys) {
+    keys.forEach((key) => this.values.delete(key));
+  }
+}
+
+class FakeProperties {
+  constructor() {
+    this.values = {};
+  }
+
+  getProperty(key) {
+    return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null;
+  }
+
+  getProperties() {
+    return Object.assign({}, this.values);
+  }
+
+  getKeys() {
+    return Object.keys(this.values);
+  }
+
+  setProperty(key, value) {
+    this.values[key] = String(value);
+    return this;
+  }
+
+  setProperties(values, deleteAllOthers = false) {
+    if (deleteAllOthers) this.values = {};
+    Object.entries(values).forEach(([key, value]) => this.setProperty(key, value));
+    return this;
+  }
+
+  deleteProperty(key) {
+    delete this.values[key];
+    return this;
+  }
+}
+
+// ---------- Utilities ----------
+
+// Apps Script digests are Java byte arrays: signed, -128..127
+function toSignedBytes(buffer) {
+  return Array.from(buffer, (byte) => (byte > 127 ? byte - 256 : byte));
+}
+
+function toBuffer(value) {
+  return Array.isArray(value) ? Buffer.from(value.map((byte) => (byte + 256) % 256)) : Buffer.from(String(value));
+}
+
+function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const Utilities = {
+  DigestAlgorithm: { MD5: "md5", SHA_1: "sha1", SHA_256: "sha256" },
+  Charset: { UTF_8: "utf8" },
+  computeDigest(algorithm, value) {
+    return toSignedBytes(crypto.createHash(algorithm).update(toBuffer(value)).digest());
+  },
+  base64Encode(value) {
+    return toBuffer(value).toString("base64");
+  },
+  base64EncodeWebSafe(value) {
+    return toBuffer(value).toString("base64").replace(/\+/g, "-").replace(/\//g, "_");
+  },
+  base64Decode(text) {
+    return toSignedBytes(Buffer.from(text, "base64"));
+  },
+  newBlob(data, contentType = "text/plain", name = null) {
+    const text = Array.isArray(data) ? toBuffer(data).toString() : String(data);
+    return {
+      getDataAsString: () => text,
+      getContentType: () => contentType,
+      getName: () => name,
+    };
+  },
+  parseCsv,
+  getUuid: () => crypto.randomUUID(),
+  sleep: () => {},
+};
+
+// ---------- HtmlService / ContentService ----------
+
+class FakeHtmlOutput {
+  constructor(content) {
+    this.content = content;
+    this.title = "";
+    this.metaTags = {};
+  }
+
+  getContent() {
+    return this.content;
+  }
+
+  getTitle() {
+    return this.title;
+  }
+
+  setTitle(title) {
+    this.title = title;
+    return this;
+  }
+
+  setFaviconUrl(url) {
+    this.faviconUrl = url;
+    return this;
+  }
+
+  addMetaTag(name, content) {
+    this.metaTags[name] = content;
+    return this;
+  }
+
+  setXFrameOptionsMode(mode) {
+    this.xFrameOptionsMode = mode;
+    return this;
+  }
+}
+
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Templates support the two printing scriptlets the app uses:
+ * <?= expr ?> (escaped) and <?!= expr ?> (raw). Expressions run in the
+ * server context, with the template's properties as variables.
+ */
+class FakeTemplate {
+  constructor(source, getContext) {
+    this.source = source;
+    this.getContext = getContext;
+  }
+
+  evaluate() {
+    const variables = Object.keys(this).filter((key) => !["source", "getContext"].includes(key));
+    const content = this.source.replace(/<\?(!?=)([\s\S]*?)\?>/g, (match, kind, expression) => {
+      const evaluate = vm.runInContext(
+        `(function (${variables.join(", ")}) { return (${expression.trim().replace(/;$/, "")}); })`,
+        this.getContext()
+      );
+      const value = evaluate(...variables.map((key) => this[key]));
+      return kind === "!=" ? String(value) : escapeHtml(value);
+    });
+    return new FakeHtmlOutput(content);
+  }
+}
+
+function createHtmlService(root, getContext) {
+  const readFile = (name) => fs.readFileSync(path.join(root, name.endsWith(".html") ? name : `${name}.html`), "utf8");
+  return {
+    XFrameOptionsMode: { ALLOWALL: "ALLOWALL", DEFAULT: "DEFAULT" },
+    createTemplateFromFile: (name) => new FakeTemplate(readFile(name), getContext),
+    createHtmlOutputFromFile: (name) => new FakeHtmlOutput(readFile(name)),
+    createHtmlOutput: (content = "") => new FakeHtmlOutput(content),
+  };
+}
+
+const ContentService = {
+  MimeType: { JSON: "JSON", TEXT: "TEXT", CSV: "CSV" },
+  createTextOutput(content = "") {
+    const output = {
+      content,
+      mimeType: "TEXT",
+      getContent: () => output.content,
+      setMimeType(mimeType) {
+        output.mimeType = mimeType;
+        return output;
+      },
+      getMimeType: () => output.mimeType,
+    };
+    return output;
+  },
+};
+
+// ---------- DriveApp ----------
+
+class FakeFile {
+  constructor(id, name, content, mimeType, dateCreated) {
+    Object.assign(this, { id, name, content, mimeType, dateCreated, description: "", trashed: false });
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getSize() {
+    return Buffer.byteLength(this.content, "utf8");
+  }
+
+  getDateCreated() {
+    return this.dateCreated;
+  }
+
+  getDescription() {
+    return this.description;
+  }
+
+  setDescription(description) {
+    this.description = description;
+    return this;
+  }
+
+  getBlob() {
+    return { getDataAsString: () => this.content };
+  }
+
+  isTrashed() {
+    return this.trashed;
+  }
+
+  setTrashed(trashed) {
+    this.trashed = trashed;
+    return this;
+  }
+}
+
+class FakeFolder {
+  constructor(drive, id, name) {
+    Object.assign(this, { drive, id, name, files: [] });
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  createFile(name, content, mimeType) {
+    const file = this.drive.newFile(name, content, mimeType);
+    this.files.push(file);
+    return file;
+  }
+
+  getFiles() {
+    const files = this.files.slice();
+    return { hasNext: () => files.length > 0, next: () => files.shift() };
+  }
+}
+
+class FakeDrive {
+  constructor() {
+    this.folders = {};
+    this.nextId = 1;
+    this.lastCreated = 0;
+  }
+
+  createFolder(name) {
+    const folder = new FakeFolder(this, `folder-${this.nextId++}`, name);
+    this.folders[folder.id] = folder;
+    return folder;
+  }
+
+  getFolderById(id) {
+    if (!this.folders[id]) throw new Error(`No item with the given ID could be found: ${id}`);
+    return this.folders[id];
+  }
+
+  // Creation times are strictly increasing, so "newest first" is well defined
+  newFile(name, content, mimeType) {
+    this.lastCreated = Math.max(Date.now(), this.lastCreated + 1);
+    return new FakeFile(`file-${this.nextId++}`, name, content, mimeType, new Date(this.lastCreated));
+  }
+}
+
+// ---------- ScriptApp triggers ----------
+
+function createScriptApp(triggers) {
+  let nextId = 1;
+  return {
+    getService: () => ({ getUrl: () => "https://script.google.com/macros/s/fake-deployment/exec" }),
+    newTrigger(handler) {
+      const trigger = { handler, schedule: null, uid: String(nextId++) };
+      const clock = {
+        everyHours(hours) {
+          trigger.schedule = { everyHours: hours };
+          return clock;
+        },
+        everyDays(days) {
+          trigger.schedule = { everyDays: days };
+          return clock;
+        },
+        create() {
+          triggers.push(trigger);
+          return {
+            getHandlerFunction: () => trigger.handler,
+            getUniqueId: () => trigger.uid,
+          };
+        },
+      };
+      return { timeBased: () => clock };
+    },
+    getProjectTriggers: () =>
+      triggers.map((trigger) => ({
+        trigger,
+        getHandlerFunction: () => trigger.handler,
+        getUniqueId: () => trigger.uid,
+      })),
+    deleteTrigger(projectTrigger) {
+      const index = triggers.indexOf(projectTrigger.trigger);
+      if (index >= 0) triggers.splice(index, 1);
+    },
+  };
+}
+
+// ---------- all services ----------
+
+/**
+ * @param {Object} options
+ * @param {Function} options.spreadsheetById - (id) => FakeSpreadsheet, the backing
+ *   stores shared with the CamDB fakes; SpreadsheetApp.create() asks it for new ids
+ * @param {string} options.root - Folder the HTML files are read from
+ * @param {Function} options.getContext - Returns the server's vm context (for templates)
+ * @param {string} options.deployer - Email of the account the script runs as
+ * @param {string} options.user - Email of the caller ("" for consumer accounts)
+ */
+function createGasServices({ spreadsheetById, root, getContext, deployer, user }) {
+  const state = { user, deployer, lockBusy: false, triggers: [] };
+  const drive = new FakeDrive();
+  const scriptCache = new FakeCache();
+  const scriptProperties = new FakeProperties();
+  const userProperties = new FakeProperties();
+  let createdSpreadsheets = 0;
+
+  // Stricter than Apps Script on purpose: acquiring the lock while it is held
+  // (nested withScriptLock_ calls) is recorded in `misuses` and throws, and
+  // checkReleased() reports both that and a lock left held after a call
+  const lock = {
+    holds: 0,
+    misuses: [],
+    acquire_() {
+      if (lock.holds) {
+        const misuse = "the script lock was acquired again while already held";
+        lock.misuses.push(misuse);
+        throw new Error(misuse);
+      }
+      lock.holds++;
+    },
+    waitLock() {
+      if (state.lockBusy) throw new Error("Lock timeout: another process was holding the lock for too long.");
+      lock.acquire_();
+    },
+    tryLock() {
+      if (state.lockBusy) return false;
+      lock.acquire_();
+      return true;
+    },
+    hasLock: () => lock.holds > 0,
+    releaseLock() {
+      lock.holds = 0;
+    },
+    checkReleased(where) {
+      const misuses = lock.misuses.concat(lock.holds ? ["the script lock was not released"] : []);
+      lock.holds = 0;
+      lock.misuses = [];
+      if (misuses.length) throw new Error(`${where}: ${misuses.join("; ")}`);
+    },
+  };
+
+  const globals = {
+    SpreadsheetApp: {
+      openById: (id) => spreadsheetById(id),
+      create(name) {
+        const spreadsheet = spreadsheetById(`created-${++createdSpreadsheets}`);
+        spreadsheet.name = name;
+        return spreadsheet;
+      },
+    },
+    CacheService: {
+      getScriptCache: () => scriptCache,
+    },
+    LockService: {
+      getScriptLock: () => lock,
+    },
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getUserProperties: () => userProperties,
+    },
+    Session: {
+      getActiveUser: () => ({ getEmail: () => state.user }),
+      getEffectiveUser: () => ({ getEmail: () => state.deployer }),
+    },
+    ScriptApp: createScriptApp(state.triggers),
+    DriveApp: drive,
+    Utilities,
+    HtmlService: createHtmlService(root, getContext),
+    ContentService,
+  };
+
+  return { globals, state, scriptCache, scriptProperties, lock, drive };
+}
+
+module.exports = { createGasServices, FakeSpreadsheet, FakeSheet, FakeCache, FakeProperties, parseCsv };
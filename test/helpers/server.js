@@ -0,0 +1,132 @@
+/**
+ * Loads server.js into a fresh vm context with the CamDB and Apps Script
+ * fakes as globals, the way Apps Script runs it: one global scope, top-level
+ * code executed on load.
+ *
+ * The sheets are created by running the migrations, as the deploying user;
+ * pass `migrate: false` to start from an empty spreadsheet.
+ *
+ * Spreadsheets are created on first use of their id, each with its own CamDB
+ * fake, so several environments can live side by side. The vm context lives
+ * across calls like one long execution; reload() starts a new one (load-time
+ * code runs again) with the same sheets, cache and properties.
+ *
+ * Example:
+ * const server = loadServer({ user: "ana@example.com", roles: { "ana@example.com": "editor" } });
+ * server.call("createRecord", "category", { name: "Libros" })
+ * => { status: 200, data: { id: 1, name: "Libros", ... } }
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { FakeCamDB } = require("./camdb");
+const { createGasServices, FakeSpreadsheet } = require("./gas");
+
+const ROOT = path.join(__dirname, "..", "..");
+const SERVER_SOURCE = fs.readFileSync(path.join(ROOT, "server.js"), "utf8");
+const DEPLOYER = "owner@example.com";
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.user] - Caller's email, the deploying account by default (admin)
+ * @param {Object.<string,string>} [options.roles] - USER_ROLE rows to seed: { email: role }
+ * @param {boolean} [options.migrate] - Run runMigrations() after loading (default true)
+ * @param {Object.<string,string>} [options.properties] - Script properties set before loading
+ * @returns {Object} { context, db, spreadsheet, gas, logs, call, evaluate, reload, setUser,
+ *   setWriteLockBusy, sheetRecords, spreadsheetById, dbById }
+ */
+function loadServer({ user = DEPLOYER, roles = {}, migrate = true, properties = {} } = {}) {
+  const spreadsheets = {};
+  const dbs = {};
+  const spreadsheetById = (id) => {
+    if (!spreadsheets[id]) spreadsheets[id] = new FakeSpreadsheet(id);
+    return spreadsheets[id];
+  };
+  const dbById = (id) => {
+    if (!dbs[id]) dbs[id] = new FakeCamDB(spreadsheetById(id));
+    return dbs[id];
+  };
+  let context = null;
+  const gas = createGasServices({ spreadsheetById, root: ROOT, getContext: () => context, deployer: DEPLOYER, user });
+  gas.scriptProperties.setProperties(properties);
+
+  // server.js logs a lot; the tests read the logs only when they need them
+  const logs = [];
+  const record = (level) => (...args) => logs.push({ level, message: args.map(String).join(" ") });
+  const quietConsole = { log: record("log"), info: record("info"), warn: record("warn"), error: record("error") };
+
+  const load = () => {
+    context = vm.createContext(
+      Object.assign(
+        {
+          console: quietConsole,
+          CamDB: { init: (name, spreadsheetId) => dbById(spreadsheetId) },
+          // Dates from the fakes and from server.js must pass each other's instanceof checks
+          Date,
+        },
+        gas.globals
+      )
+    );
+    vm.runInContext(SERVER_SOURCE, context, { filename: "server.js" });
+  };
+  load();
+  // The environment the script started on (the default one, unless properties say otherwise)
+  const loadedSpreadsheetId = vm.runInContext("ENVIRONMENT.spreadsheetId", context);
+  const db = dbById(loadedSpreadsheetId);
+  const spreadsheet = spreadsheetById(loadedSpreadsheetId);
+
+  if (migrate) {
+    gas.state.user = DEPLOYER;
+    const migrated = JSON.parse(context.runMigrations());
+    gas.state.user = user;
+    if (migrated.status !== 200) throw new Error(`runMigrations failed: ${migrated.error}`);
+  }
+  Object.entries(roles).forEach(([email, role]) => {
+    db.create("USER_ROLE", { email, role, created_at: new Date() });
+  });
+
+  return {
+    get context() {
+      return context;
+    },
+    db,
+    spreadsheet,
+    gas,
+    logs,
+    spreadsheetById,
+    dbById,
+    /**
+     * Calls a server function like google.script.run would: arguments and
+     * the JSON string it returns are parsed back into plain objects.
+     */
+    call(name, ...args) {
+      if (typeof context[name] !== "function") throw new Error(`server.js has no function ${name}`);
+      const result = context[name](...JSON.parse(JSON.stringify(args)));
+      gas.lock.checkReleased(name);
+      return typeof result === "string" ? JSON.parse(result) : result;
+    },
+    // Reads top-level constants (const/let are not properties of the context)
+    evaluate(expression) {
+      return vm.runInContext(expression, context);
+    },
+    /** A new execution: server.js is loaded again, for the current user */
+    reload() {
+      load();
+    },
+    setUser(email) {
+      gas.state.user = email;
+    },
+    // Writes answer like a lock timeout (library) and the script lock can't be acquired
+    setWriteLockBusy(busy) {
+      gas.state.lockBusy = busy;
+      db.lockBusy = busy;
+    },
+    sheetRecords(sheetName) {
+      const sheet = spreadsheet.getSheetByName(sheetName);
+      return sheet ? sheet.records() : [];
+    },
+  };
+}
+
+module.exports = { loadServer, DEPLOYER, ROOT };
@@ -0,0 +1,174 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadServer } = require("./helpers/server");
+
+const headers = (server, sheetName) => server.spreadsheet.getSheetByName(sheetName).headers;
+
+const apiGet = (server, parameter) => JSON.parse(server.context.doGet({ parameter }).getContent());
+
+/**
+ * What a release changing a table does: the new config plus its migration.
+ */
+function release(server, { configs = {}, migration }) {
+  Object.entries(configs).forEach(([name, fields]) => {
+    server.evaluate(name).fields = fields;
+  });
+  server.evaluate("MIGRATIONS").push(migration);
+}
+
+test("a new spreadsheet gets every table from the first migration", () => {
+  const server = loadServer({ migrate: false });
+
+  assert.match(server.context.doGet({ parameter: {} }).getContent(), /schema is out of date/);
+  assert.equal(apiGet(server, { resource: "category" }).status, 503);
+  assert.deepEqual(server.call("getMigrationStatus").data.pending, [{ version: 1, name: "Create the base tables" }]);
+
+  const response = server.call("runMigrations");
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data.migrated.map((migration) => migration.version), [1]);
+  assert.deepEqual(response.data.mismatches, []);
+  ["CATEGORY", "DELETED_PRODUCT", "ORDER_DETAIL", "USER_ROLE", "AUDIT_LOG", "MIGRATIONS"].forEach((sheetName) =>
+    assert.ok(server.spreadsheet.getSheetByName(sheetName), sheetName)
+  );
+  assert.deepEqual(server.sheetRecords("MIGRATIONS").map((row) => [row.version, row.applied_by]), [
+    [1, "owner@example.com"],
+  ]);
+
+  assert.deepEqual(server.call("runMigrations").data.migrated, []);
+  assert.equal(server.context.doGet({ parameter: {} }).getTitle(), "Test CRUD WebApp");
+  assert.equal(apiGet(server, { resource: "category" }).status, 200);
+});
+
+test("tables created before migrations existed are kept", () => {
+  const server = loadServer({ migrate: false });
+  server.db.createTable(server.evaluate("categoryTableConfig"));
+  server.db.create("CATEGORY", { name: "Libros" });
+
+  assert.equal(server.call("runMigrations").status, 200);
+  assert.equal(server.sheetRecords("CATEGORY").length, 1);
+});
+
+test("add_column inserts the column after `after` and fills existing rows", () => {
+  const server = loadServer();
+  const category = server.call("createRecord", "category", { name: "Libros" }).data;
+  const product = server.call("createRecord", "product", { name: "Novela", price: 10, category_fk: category.id }).data;
+  server.call("removeRecord", "product", product.id);
+  server.call("createRecord", "product", { name: "Ensayo", price: 12, category_fk: category.id });
+
+  release(server, {
+    configs: { productTableConfig: { name: "string", price: "number", stock: "number", category_fk: "number", created_at: "date" } },
+    migration: {
+      version: 2,
+      name: "Add stock to products",
+      steps: [{ op: "add_column", table: "PRODUCT", field: "stock", after: "price", default: 0 }],
+    },
+  });
+  assert.equal(apiGet(server, { resource: "product" }).status, 503);
+
+  const response = server.call("runMigrations");
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data.migrated[0].steps, ["PRODUCT: added stock; DELETED_PRODUCT: added stock"]);
+  assert.deepEqual(headers(server, "PRODUCT"), ["id", "name", "price", "stock", "category_fk", "created_at"]);
+  assert.deepEqual(headers(server, "DELETED_PRODUCT"), ["id", "name", "price", "stock", "category_fk", "created_at", "deleted_at"]);
+  assert.deepEqual(server.sheetRecords("PRODUCT").map((row) => row.stock), [0]);
+  assert.deepEqual(server.sheetRecords("DELETED_PRODUCT").map((row) => row.stock), [0]);
+  assert.equal(apiGet(server, { resource: "product" }).status, 200);
+});
+
+test("rename_column keeps the data and drop_column removes it", () => {
+  const server = loadServer();
+  server.call("createRecord", "customer", { first_name: "Ana", last_name: "Pérez", email: "ana@example.com", address: "Calle 1" });
+
+  release(server, {
+    configs: { customerTableConfig: { first_name: "string", last_name: "string", email: "string", street: "string", created_at: "date" } },
+    migration: {
+      version: 2,
+      name: "Rename address to street, drop the old notes",
+      steps: [
+        { op: "add_column", table: "customer", field: "notes" },
+        { op: "rename_column", table: "customer", from: "address", to: "street" },
+        { op: "drop_column", table: "customer", field: "notes" },
+      ],
+    },
+  });
+  server.evaluate('ENTITY_REGISTRY.customer.rules.street = ENTITY_REGISTRY.customer.rules.address; delete ENTITY_REGISTRY.customer.rules.address');
+
+  assert.equal(server.call("runMigrations").status, 200);
+  assert.deepEqual(headers(server, "CUSTOMER"), ["id", "first_name", "last_name", "email", "street", "created_at"]);
+  assert.equal(server.sheetRecords("CUSTOMER")[0].street, "Calle 1");
+  assert.deepEqual(server.call("getMigrationStatus").data.mismatches, []);
+});
+
+test("backfill fills only the empty cells", () => {
+  const server = loadServer();
+  server.call("createRecord", "customer", { first_name: "Ana", last_name: "Pérez", email: "ana@example.com", address: "Calle 1" });
+  server.call("createRecord", "customer", { first_name: "Luis", last_name: "Gómez", email: "luis@example.com", address: "" });
+
+  release(server, {
+    migration: {
+      version: 2,
+      name: "Placeholder addresses",
+      steps: [{ op: "backfill", table: "CUSTOMER", field: "address", value: (record) => `Sin dirección (${record.first_name})` }],
+    },
+  });
+
+  const response = server.call("runMigrations");
+  assert.deepEqual(response.data.migrated[0].steps, ["CUSTOMER: backfilled 1 address"]);
+  assert.deepEqual(server.sheetRecords("CUSTOMER").map((row) => row.address), ["Calle 1", "Sin dirección (Luis)"]);
+});
+
+test("a failing step stops the run without recording its migration", () => {
+  const server = loadServer();
+  const migration = {
+    version: 2,
+    name: "Add phone, rename a column that isn't there",
+    steps: [
+      { op: "add_column", table: "CUSTOMER", field: "phone" },
+      { op: "rename_column", table: "CUSTOMER", from: "fax", to: "telefax" },
+    ],
+  };
+  release(server, {
+    configs: { customerTableConfig: { first_name: "string", last_name: "string", email: "string", address: "string", phone: "string", created_at: "date" } },
+    migration,
+  });
+
+  const failed = server.call("runMigrations");
+  assert.equal(failed.status, 500);
+  assert.match(failed.error, /Migration 2 .* failed at step 2: CUSTOMER has no column fax/);
+  assert.deepEqual(failed.data.pending, [{ version: 2, name: migration.name }]);
+  assert.equal(apiGet(server, { resource: "customer" }).status, 503);
+
+  // The fixed migration runs again; the column added the first time is skipped
+  server.evaluate("MIGRATIONS")[1].steps.pop();
+  const response = server.call("runMigrations");
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data.migrated[0].steps, ["CUSTOMER: phone already exists; DELETED_CUSTOMER: phone already exists"]);
+});
+
+test("sheets edited by hand keep the app from starting", () => {
+  const server = loadServer();
+  const sheet = server.spreadsheet.getSheetByName("CATEGORY");
+  sheet.insertColumnAfter(2);
+  sheet.setCell(1, 3, "color");
+
+  const response = apiGet(server, { resource: "category" });
+  assert.equal(response.status, 503);
+  assert.deepEqual(response.data.mismatches, [
+    'CATEGORY: columns are "id, name, color, created_at", the config expects "id, name, created_at"',
+  ]);
+  assert.equal(JSON.parse(server.context.doPost({ postData: { contents: "{}" } }).getContent()).status, 503);
+
+  // google.script.run calls are refused too
+  assert.equal(server.call("createRecord", "category", { name: "Libros" }).status, 503);
+  assert.equal(server.call("readTablePage", "product", { draw: 1, start: 0, length: 10 }).status, 503);
+  assert.equal(server.call("bulkRemoveRecords", "product", [1]).status, 503);
+  assert.equal(server.call("commitImport", "category", "name\nLibros").status, 503);
+  assert.equal(server.sheetRecords("CATEGORY").length, 0);
+});
+
+test("only admins run migrations", () => {
+  const server = loadServer({ user: "eva@example.com", roles: { "eva@example.com": "editor" } });
+
+  assert.equal(server.call("runMigrations").status, 403);
+  assert.equal(server.call("getMigrationStatus").status, 403);
+});
@@ -0,0 +1,410 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadServer } = require("./helpers/server");
+
+function seedCatalog(server) {
+  const category = server.call("createRecord", "category", { name: "Libros" }).data;
+  const product = server.call("createRecord", "product", { name: "Novela", price: 10, category_fk: category.id }).data;
+  return { category, product };
+}
+
+test("generic CRUD round trip", () => {
+  const server = loadServer();
+  const { category, product } = seedCatalog(server);
+
+  assert.equal(server.call("readRecordById", "product", product.id).data.name, "Novela");
+
+  const updated = server.call("updateRecord", "product", { name: "Ensayo", price: 12, category_fk: category.id }, product.id);
+  assert.equal(updated.status, 200);
+  assert.equal(updated.data.name, "Ensayo");
+  assert.notEqual(updated.data._version, product._version);
+
+  const removed = server.call("removeRecord", "product", product.id);
+  assert.equal(removed.status, 200);
+  assert.equal(server.call("readRecordById", "product", product.id).status, 404);
+  assert.equal(server.sheetRecords("DELETED_PRODUCT").length, 1);
+});
+
+test("invalid data is rejected with per-field errors", () => {
+  const server = loadServer();
+  const response = server.call("createRecord", "product", { name: "", price: 5, category_fk: 99 });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(Object.keys(response.errors).sort(), ["category_fk", "name"]);
+  assert.equal(server.sheetRecords("PRODUCT").length, 0);
+});
+
+test("stale edits get a 409 with the stored record", () => {
+  const server = loadServer();
+  const { category, product } = seedCatalog(server);
+  const data = { name: "Primera", price: 10, category_fk: category.id, _version: product._version };
+
+  assert.equal(server.call("updateRecord", "product", data, product.id).status, 200);
+  const stale = server.call("updateRecord", "product", Object.assign({}, data, { name: "Segunda" }), product.id);
+
+  assert.equal(stale.status, 409);
+  assert.equal(stale.data.name, "Primera");
+});
+
+test("onDelete restrict and cascade", () => {
+  const server = loadServer();
+  const { category, product } = seedCatalog(server);
+  const customer = server.call("createRecord", "customer", {
+    first_name: "Ana",
+    last_name: "Pérez",
+    email: "ana@example.com",
+    address: "Calle 1",
+  }).data;
+  const order = server.call("createRecord", "order", { customer_fk: customer.id }).data;
+  server.call("createOrderDetail", { order_id: order.id, product_id: product.id, quantity: 2 });
+
+  const restricted = server.call("removeRecord", "category", category.id);
+  assert.equal(restricted.status, 409);
+  assert.equal(server.sheetRecords("CATEGORY").length, 1);
+
+  const cascaded = server.call("removeRecord", "order", order.id);
+  assert.equal(cascaded.status, 200);
+  assert.equal(cascaded.data.cascaded, 1);
+  assert.equal(server.sheetRecords("ORDER_DETAIL").length, 0);
+  assert.equal(server.sheetRecords("DELETED_ORDER_DETAIL").length, 1);
+});
+
+test("a restore that fails part-way deletes the rows it created", () => {
+  const server = loadServer();
+  const { product } = seedCatalog(server);
+  const customer = server.call("createRecord", "customer", { first_name: "Ana", last_name: "Pérez", email: "ana@example.com", address: "" }).data;
+  const order = server.call("createRecord", "order", { customer_fk: customer.id }).data;
+  server.call("createOrderDetail", { order_id: order.id, product_id: product.id, quantity: 2 });
+  server.call("createOrderDetail", { order_id: order.id, product_id: product.id, quantity: 3 });
+  server.call("removeRecord", "order", order.id);
+
+  // The second detail no longer passes validation
+  const deletedDetails = server.spreadsheet.getSheetByName("DELETED_ORDER_DETAIL");
+  deletedDetails.getRange(3, deletedDetails.headers.indexOf("quantity") + 1).setValue(1.5);
+  const auditRows = server.sheetRecords("AUDIT_LOG").length;
+  const historyRow = server.sheetRecords("DELETED_ORDER")[0]._row;
+
+  const response = server.call("restoreDeletedRecord", "order", historyRow, true);
+  assert.equal(response.status, 400);
+  assert.match(response.error, /Restore rolled back, ORDER_DETAIL #2 failed/);
+  assert.equal(server.sheetRecords("ORDER").length, 0);
+  assert.equal(server.sheetRecords("ORDER_DETAIL").length, 0);
+  // Straight out of the sheet: nothing new in the history tables, no "remove" entries
+  assert.equal(server.sheetRecords("DELETED_ORDER").length, 1);
+  assert.equal(server.sheetRecords("DELETED_ORDER_DETAIL").length, 2);
+  assert.ok(server.sheetRecords("AUDIT_LOG").slice(auditRows).every((entry) => entry.action === "restore"));
+
+  // Rows the rollback can't delete are reported
+  server.spreadsheet.getSheetByName("ORDER").deleteRow = () => {
+    throw new Error("protected range");
+  };
+  const stuck = server.call("restoreDeletedRecord", "order", historyRow, true);
+  assert.equal(stuck.status, 500);
+  assert.match(stuck.error, /could not remove ORDER #\d+: protected range/);
+});
+
+test("an order whose line fails while writing is deleted again", () => {
+  const server = loadServer();
+  const { category, product } = seedCatalog(server);
+  const other = server.call("createRecord", "product", { name: "Ensayo", price: 12, category_fk: category.id }).data;
+  const customer = server.call("createRecord", "customer", { first_name: "Ana", last_name: "Pérez", email: "ana@example.com", address: "" }).data;
+  const lines = [
+    { product_id: product.id, quantity: 1 },
+    { product_id: other.id, quantity: 2 },
+  ];
+
+  // The second line fails in the library, after the checks passed
+  const create = server.db.create;
+  server.db.create = function (tableName, record, ...rest) {
+    if (tableName === "ORDER_DETAIL" && record.product_id === other.id) {
+      return { status: 500, error: "Service Spreadsheets timed out" };
+    }
+    return create.call(this, tableName, record, ...rest);
+  };
+
+  const response = server.call("createOrderWithDetails", { customer_fk: customer.id }, lines);
+  assert.equal(response.status, 500);
+  assert.match(response.error, /Order rolled back, product #2 failed: Service Spreadsheets timed out/);
+  assert.equal(server.sheetRecords("ORDER").length, 0);
+  assert.equal(server.sheetRecords("ORDER_DETAIL").length, 0);
+  assert.equal(server.sheetRecords("DELETED_ORDER").length + server.sheetRecords("DELETED_ORDER_DETAIL").length, 0);
+
+  // Rows the rollback can't delete are named in the error
+  server.spreadsheet.getSheetByName("ORDER_DETAIL").deleteRow = () => {
+    throw new Error("protected range");
+  };
+  const stuck = server.call("createOrderWithDetails", { customer_fk: customer.id }, lines);
+  assert.equal(stuck.status, 500);
+  assert.match(stuck.error, /could not remove ORDER_DETAIL #1: protected range$/);
+  assert.equal(server.sheetRecords("ORDER").length, 0);
+});
+
+test("imports are appended in batches, with defaults and one audit entry per row", () => {
+  const server = loadServer();
+  seedCatalog(server);
+
+  const response = server.call("commitImport", "category", "name\nMúsica\n\nCine\n");
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data.created, [2, 3]);
+  const [, musica, cine] = server.sheetRecords("CATEGORY");
+  assert.deepEqual([musica.id, musica.name, cine.id, cine.name], [2, "Música", 3, "Cine"]);
+  assert.ok(musica.created_at instanceof Date);
+
+  const blank = server.call("commitImport", "category", "name,created_at\n,2024-03-01\n");
+  assert.equal(blank.status, 200);
+  assert.equal(server.sheetRecords("CATEGORY")[3].name, "default_name");
+
+  const entries = server.sheetRecords("AUDIT_LOG").filter((entry) => entry.action === "import");
+  assert.deepEqual(entries.map((entry) => entry.record_id), [2, 3, 4]);
+  assert.equal(server.call("getTableChanges").data.cursor, server.sheetRecords("AUDIT_LOG").pop().id);
+});
+
+test("imported rows never reuse the id of a row moved to the history table", () => {
+  const server = loadServer();
+  const libros = server.call("createRecord", "category", { name: "Libros" }).data;
+  const musica = server.call("createRecord", "category", { name: "Música" }).data;
+  server.call("removeRecord", "category", musica.id);
+
+  const response = server.call("commitImport", "category", "name\nCine\n");
+  assert.deepEqual(response.data.created, [musica.id + 1]);
+  assert.deepEqual(server.sheetRecords("CATEGORY").map((row) => row.id), [libros.id, musica.id + 1]);
+  assert.deepEqual(server.sheetRecords("DELETED_CATEGORY").map((row) => row.id), [musica.id]);
+});
+
+test("a CSV without data rows is a 400, checked before the lock", () => {
+  const server = loadServer();
+
+  server.setWriteLockBusy(true);
+  ["name\n", ""].forEach((csv) => {
+    const response = server.call("commitImport", "category", csv);
+    assert.equal(response.status, 400);
+    assert.equal(response.error, "The CSV needs a header row and at least one data row");
+  });
+  server.setWriteLockBusy(false);
+  assert.equal(server.call("previewImport", "category", "name").status, 400);
+});
+
+test("an import whose batch fails deletes the batches already written", () => {
+  const server = loadServer();
+  const batchRows = server.evaluate("IMPORT_BATCH_ROWS");
+  const csv = ["name"].concat(Array.from({ length: batchRows + 10 }, (value, index) => `Categoría ${index}`)).join("\n");
+
+  const sheet = server.spreadsheet.getSheetByName("CATEGORY");
+  const getRange = sheet.getRange.bind(sheet);
+  sheet.getRange = (row, ...rest) => {
+    if (row > batchRows + 1) throw new Error("Service Spreadsheets timed out");
+    return getRange(row, ...rest);
+  };
+
+  const response = server.call("commitImport", "category", csv);
+  assert.equal(response.status, 500);
+  assert.equal(response.error, `Import rolled back, lines ${batchRows + 2}-${batchRows + 11} failed: Service Spreadsheets timed out`);
+  assert.equal(server.sheetRecords("CATEGORY").length, 0);
+  assert.equal(server.sheetRecords("DELETED_CATEGORY").length, 0);
+  assert.equal(server.sheetRecords("AUDIT_LOG").filter((entry) => entry.action === "import").length, 0);
+});
+
+test("a write that throws after saving is not repeated by its retry", () => {
+  const server = loadServer();
+  const invalidateTable = server.context.invalidateTable_;
+  server.context.invalidateTable_ = () => {
+    throw new Error("Service Cache timed out");
+  };
+
+  // The category is saved, then the call fails: the audit log shows it went through
+  const first = server.call("createRecord", "category", { name: "Libros" }, "key-1");
+  assert.equal(first.status, 200);
+  assert.equal(first.data.name, "Libros");
+  server.context.invalidateTable_ = invalidateTable;
+
+  const retry = server.call("createRecord", "category", { name: "Libros" }, "key-1");
+  assert.equal(retry.status, 200);
+  assert.equal(retry.data.id, first.data.id);
+  assert.equal(server.sheetRecords("CATEGORY").length, 1);
+
+  // A failure before anything was written releases the key
+  server.context.createRecord_ = () => {
+    throw new Error("Service Spreadsheets timed out");
+  };
+  assert.throws(() => server.call("createRecord", "category", { name: "Música" }, "key-2"), /Spreadsheets timed out/);
+  server.reload();
+  assert.equal(server.call("createRecord", "category", { name: "Música" }, "key-2").status, 200);
+  assert.deepEqual(server.sheetRecords("CATEGORY").map((row) => row.name), ["Libros", "Música"]);
+});
+
+test("idempotency keys survive the cache and settle a stale pending write", () => {
+  const server = loadServer();
+  const { category, product } = seedCatalog(server);
+  const property = (key) => server.evaluate(`idempotencyProperty_(${JSON.stringify(key)})`);
+  const pending = (key, ageSeconds) =>
+    server.gas.scriptProperties.setProperty(
+      property(key),
+      JSON.stringify({ state: "pending", at: Date.now() - ageSeconds * 1000, auditId: server.evaluate("lastAuditId_()") })
+    );
+  const data = { name: "Ensayo", price: 12, category_fk: category.id };
+
+  const saved = server.call("updateRecord", "product", data, product.id, "key-1");
+  assert.equal(JSON.parse(server.gas.scriptProperties.getProperty(property("key-1"))).state, "done");
+  server.gas.scriptCache.values.clear();
+  const replay = server.call("updateRecord", "product", Object.assign({}, data, { name: "Otro" }), product.id, "key-1");
+  assert.equal(replay.data.name, "Ensayo");
+  assert.equal(replay.data._version, saved.data._version);
+
+  // Still running elsewhere
+  pending("key-2", 10);
+  assert.equal(server.call("removeRecord", "product", product.id, "key-2").status, 423);
+
+  // The execution died after writing: the retry answers with what it wrote
+  pending("key-3", server.evaluate("IDEMPOTENCY_PENDING_SECONDS") + 1);
+  const written = server.call("createRecord", "category", { name: "Música" }).data;
+  const settled = server.call("createRecord", "category", { name: "Música" }, "key-3");
+  assert.equal(settled.status, 200);
+  assert.equal(settled.data.id, written.id);
+  assert.equal(server.sheetRecords("CATEGORY").length, 2);
+
+  // The execution died before writing: the retry writes
+  pending("key-4", server.evaluate("IDEMPOTENCY_PENDING_SECONDS") + 1);
+  assert.equal(server.call("createRecord", "category", { name: "Cine" }, "key-4").status, 200);
+  assert.equal(server.sheetRecords("CATEGORY").length, 3);
+
+  // An expired key doesn't answer for the write, and the hourly sweep deletes it
+  const expired = (key) =>
+    server.gas.scriptProperties.setProperty(
+      property(key),
+      JSON.stringify({ state: "done", at: Date.now() - (server.evaluate("IDEMPOTENCY_KEEP_SECONDS") + 1) * 1000, status: 200 })
+    );
+  const getProperties = server.gas.scriptProperties.getProperties;
+  let scans = 0;
+  server.gas.scriptProperties.getProperties = function () {
+    scans++;
+    return getProperties.call(this);
+  };
+  expired("key-5");
+  assert.equal(server.call("createRecord", "category", { name: "Teatro" }, "key-5").data.name, "Teatro");
+  assert.equal(scans, 0);
+  assert.notEqual(server.gas.scriptProperties.getProperty(property("key-5")), null);
+
+  expired("old");
+  server.gas.scriptCache.values.clear();
+  server.call("createRecord", "category", { name: "Danza" }, "key-6");
+  assert.equal(scans, 1);
+  assert.equal(server.gas.scriptProperties.getProperty(property("old")), null);
+});
+
+test("a retried order answers with the order and its lines", () => {
+  const server = loadServer();
+  const { product } = seedCatalog(server);
+  const customer = server.call("createRecord", "customer", { first_name: "Ana", last_name: "Pérez", email: "ana@example.com", address: "" }).data;
+  const lines = [{ product_id: product.id, quantity: 2 }];
+
+  const first = server.call("createOrderWithDetails", { customer_fk: customer.id }, lines, "order-1");
+  const retry = server.call("createOrderWithDetails", { customer_fk: customer.id }, lines, "order-1");
+  assert.equal(retry.data.order.id, first.data.order.id);
+  assert.deepEqual(retry.data.details.map((detail) => detail.quantity), [2]);
+  assert.equal(server.sheetRecords("ORDER").length, 1);
+});
+
+test("a busy write lock answers 423", () => {
+  const server = loadServer();
+  const { category, product } = seedCatalog(server);
+
+  server.setWriteLockBusy(true);
+  const response = server.call("updateRecord", "product", { name: "Ensayo", price: 12, category_fk: category.id }, product.id);
+  server.setWriteLockBusy(false);
+
+  assert.equal(response.status, 423);
+  assert.equal(server.call("readRecordById", "product", product.id).data.name, "Novela");
+});
+
+test("upserting a category matches its name the way the unique rule does", () => {
+  const server = loadServer();
+  const { category } = seedCatalog(server);
+
+  const response = server.call("upsertCategoryByName", { name: "libros " });
+  assert.equal(response.status, 200);
+  assert.equal(response.data.id, category.id);
+  assert.equal(server.sheetRecords("CATEGORY").length, 1);
+
+  server.setWriteLockBusy(true);
+  assert.equal(server.call("upsertCategoryByName", { name: "Revistas" }).status, 423);
+  server.setWriteLockBusy(false);
+  assert.equal(server.sheetRecords("CATEGORY").length, 1);
+});
+
+test("removals check the children under the script lock, reading each child table once", () => {
+  const server = loadServer();
+  const { category, product } = seedCatalog(server);
+
+  server.setWriteLockBusy(true);
+  const busy = server.call("removeRecord", "category", category.id);
+  server.setWriteLockBusy(false);
+  assert.equal(busy.status, 423);
+  assert.match(busy.error, /write lock to remove/);
+
+  const reads = [];
+  const getAll = server.db.getAll;
+  server.db.getAll = function (tableName, ...rest) {
+    reads.push(tableName);
+    return getAll.call(this, tableName, ...rest);
+  };
+  assert.equal(server.call("removeRecord", "product", product.id).status, 200);
+  assert.deepEqual(reads, ["ORDER_DETAIL"]);
+});
+
+test("the lock fake catches nested and unreleased script locks", () => {
+  const server = loadServer();
+
+  const nested = server.evaluate('withScriptLock_("outer", () => withScriptLock_("inner", () => ({ status: 200 })))');
+  assert.equal(nested.status, 423);
+  assert.throws(() => server.gas.lock.checkReleased("nested"), /acquired again while already held/);
+
+  server.gas.lock.waitLock();
+  assert.throws(() => server.call("readRecords", "category"), /readRecords: the script lock was not released/);
+  assert.equal(server.gas.lock.hasLock(), false);
+});
+
+test("viewers can read but not write", () => {
+  const server = loadServer({ user: "eva@example.com", roles: { "eva@example.com": "viewer" } });
+
+  assert.equal(server.call("createRecord", "category", { name: "Libros" }).status, 403);
+  assert.equal(server.call("readRecords", "category").status, 200);
+});
+
+test("table pages are cached until the table changes", () => {
+  const server = loadServer();
+  const { category } = seedCatalog(server);
+  const query = { draw: 1, start: 0, length: 10 };
+
+  assert.equal(server.call("readTablePage", "product", query).cached, false);
+  assert.equal(server.call("readTablePage", "product", query).cached, true);
+
+  server.call("createRecord", "product", { name: "Poesía", price: 8, category_fk: category.id });
+  const fresh = server.call("readTablePage", "product", query);
+  assert.equal(fresh.cached, false);
+  assert.equal(fresh.recordsTotal, 2);
+});
+
+test("the change feed reports writes after the cursor", () => {
+  const server = loadServer();
+  const { product } = seedCatalog(server);
+
+  const first = server.call("getTableChanges");
+  assert.deepEqual(first.data.changes, []);
+
+  server.call("removeRecord", "product", product.id);
+  const next = server.call("getTableChanges", first.data.cursor);
+  assert.equal(next.status, 200);
+  assert.deepEqual(
+    next.data.changes.map(({ table, id, type }) => ({ table, id, type })),
+    [{ table: "product", id: product.id, type: "delete" }]
+  );
+  assert.ok(next.data.cursor > first.data.cursor);
+});
+
+test("doGet renders the app for the user's language", () => {
+  const server = loadServer();
+  const output = server.context.doGet({ parameter: {} });
+
+  assert.equal(output.getTitle(), "Test CRUD WebApp");
+  assert.match(output.getContent(), /data-language=""/);
+});
@@ -0,0 +1,228 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadServer } = require("./helpers/server");
+
+function seed(server) {
+  const category = server.call("createRecord", "category", { name: "Libros" }).data;
+  const novela = server.call("createRecord", "product", { name: "Novela", price: 10, category_fk: category.id }).data;
+  const ensayo = server.call("createRecord", "product", { name: "Ensayo", price: 12, category_fk: category.id }).data;
+  return { category, novela, ensayo };
+}
+
+const names = (server, sheetName) => server.sheetRecords(sheetName).map((row) => row.name);
+
+test("a snapshot holds every table and history table", () => {
+  const server = loadServer();
+  seed(server);
+
+  const response = server.call("createSnapshot", "Before the price update");
+  assert.equal(response.status, 200);
+  assert.equal(response.data.reason, "manual");
+  assert.equal(response.data.note, "Before the price update");
+  assert.equal(response.data.schemaVersion, 1);
+  assert.deepEqual(
+    [response.data.rows.CATEGORY, response.data.rows.PRODUCT, response.data.rows.DELETED_PRODUCT],
+    [1, 2, 0]
+  );
+
+  const [file] = server.gas.drive.folders[Object.keys(server.gas.drive.folders)[0]].files;
+  const snapshot = JSON.parse(file.content);
+  assert.equal(snapshot.format, 1);
+  assert.deepEqual(snapshot.tables.PRODUCT.columns, ["id", "name", "price", "category_fk", "created_at"]);
+  assert.ok(snapshot.tables.AUDIT_LOG.rows.length > 0);
+  assert.ok(snapshot.tables.MIGRATIONS);
+
+  const list = server.call("listSnapshots").data;
+  assert.deepEqual(list.snapshots.map((item) => item.id), [response.data.id]);
+  assert.equal(list.scheduleHours, 0);
+});
+
+test("dates survive the round trip", () => {
+  const server = loadServer();
+  const category = server.call("createRecord", "category", { name: "Libros", created_at: "2024-03-01T10:00:00.000Z" }).data;
+  const snapshotId = server.call("createSnapshot").data.id;
+  server.call("removeRecord", "category", category.id);
+
+  assert.equal(server.call("restoreSnapshot", snapshotId, "category").status, 200);
+  const [restored] = server.sheetRecords("CATEGORY");
+  assert.ok(restored.created_at instanceof Date);
+  assert.equal(restored.created_at.toISOString(), "2024-03-01T10:00:00.000Z");
+});
+
+test("diff reports what changed since the snapshot", () => {
+  const server = loadServer();
+  const { category, novela, ensayo } = seed(server);
+  const snapshotId = server.call("createSnapshot").data.id;
+
+  server.call("updateRecord", "product", { name: "Novela", price: 15, category_fk: category.id }, novela.id);
+  const poesia = server.call("createRecord", "product", { name: "Poesía", price: 8, category_fk: category.id }).data;
+  server.call("removeRecord", "product", ensayo.id);
+
+  const response = server.call("diffSnapshot", snapshotId, "product");
+  assert.equal(response.status, 200);
+  const [product, history] = response.data.tables;
+  assert.equal(product.table, "PRODUCT");
+  assert.equal(product.columnsMatch, true);
+  assert.deepEqual(product.samples, {
+    added: [poesia.id],
+    removed: [ensayo.id],
+    changed: [{ id: novela.id, fields: ["price"] }],
+  });
+  assert.deepEqual([history.table, history.added, history.removed], ["DELETED_PRODUCT", 1, 0]);
+
+  const whole = server.call("diffSnapshot", snapshotId).data.tables.map((table) => table.table);
+  assert.ok(whole.includes("CUSTOMER"));
+  assert.ok(!whole.includes("AUDIT_LOG"));
+});
+
+test("restoring one table brings back its rows and history, after a backup", () => {
+  const server = loadServer();
+  const { category, novela, ensayo } = seed(server);
+  const snapshotId = server.call("createSnapshot").data.id;
+
+  server.call("removeRecord", "product", ensayo.id);
+  server.call("updateRecord", "product", { name: "Novela 2", price: 10, category_fk: category.id }, novela.id);
+  server.call("updateRecord", "category", { name: "Libros y revistas" }, category.id);
+
+  const response = server.call("restoreSnapshot", snapshotId, "product");
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data.restored, { PRODUCT: 2, DELETED_PRODUCT: 0 });
+  assert.equal(response.data.backup.reason, "before_restore");
+  assert.equal(response.data.integrity.total, 0);
+
+  assert.deepEqual(names(server, "PRODUCT"), ["Novela", "Ensayo"]);
+  assert.equal(server.sheetRecords("DELETED_PRODUCT").length, 0);
+  // Other tables are left alone
+  assert.deepEqual(names(server, "CATEGORY"), ["Libros y revistas"]);
+  // Cached reads see the restored rows
+  assert.equal(server.call("readRecords", "product").data.length, 2);
+
+  // The backup undoes the restore
+  assert.equal(server.call("restoreSnapshot", response.data.backup.id, "product").status, 200);
+  assert.deepEqual(names(server, "PRODUCT"), ["Novela 2"]);
+});
+
+test("restoring the whole database keeps the audit log and migrations", () => {
+  const server = loadServer();
+  seed(server);
+  const snapshotId = server.call("createSnapshot").data.id;
+
+  server.call("createRecord", "category", { name: "Música" });
+  server.call("createRecord", "customer", { first_name: "Ana", last_name: "Pérez", email: "ana@example.com", address: "" });
+  const auditRows = server.sheetRecords("AUDIT_LOG").length;
+
+  const response = server.call("restoreSnapshot", snapshotId);
+  assert.equal(response.status, 200);
+  assert.ok(!("AUDIT_LOG" in response.data.restored));
+  assert.deepEqual(names(server, "CATEGORY"), ["Libros"]);
+  assert.equal(server.sheetRecords("CUSTOMER").length, 0);
+  assert.equal(server.sheetRecords("MIGRATIONS").length, 1);
+  assert.ok(server.sheetRecords("AUDIT_LOG").length > auditRows);
+  assert.equal(server.call("restoreSnapshot", snapshotId, "AUDIT_LOG").status, 400);
+});
+
+test("a restore that fails on a later table puts every table back", () => {
+  const server = loadServer();
+  seed(server);
+  const snapshotId = server.call("createSnapshot").data.id;
+  server.call("createRecord", "category", { name: "Música" });
+  server.call("createRecord", "product", { name: "Disco", price: 20, category_fk: 2 });
+
+  // CATEGORY is restored before PRODUCT, whose first write fails
+  const sheet = server.spreadsheet.getSheetByName("PRODUCT");
+  const getRange = sheet.getRange.bind(sheet);
+  let failing = true;
+  sheet.getRange = (...args) => {
+    const range = getRange(...args);
+    range.setValues = (values) => {
+      if (failing) {
+        failing = false;
+        throw new Error("Service Spreadsheets timed out");
+      }
+      return Object.getPrototypeOf(range).setValues.call(range, values);
+    };
+    return range;
+  };
+
+  const response = server.call("restoreSnapshot", snapshotId);
+  assert.equal(response.status, 500);
+  assert.equal(response.error, "Restore rolled back: Service Spreadsheets timed out");
+  assert.deepEqual(names(server, "CATEGORY"), ["Libros", "Música"]);
+  assert.deepEqual(names(server, "PRODUCT"), ["Novela", "Ensayo", "Disco"]);
+  assert.equal(server.call("readRecords", "category").data.length, 2);
+});
+
+test("open tables are told to reload after a restore", () => {
+  const server = loadServer();
+  seed(server);
+  const snapshotId = server.call("createSnapshot").data.id;
+  const cursor = server.call("getTableChanges").data.cursor;
+
+  server.call("restoreSnapshot", snapshotId, "category");
+  const changes = server.call("getTableChanges", cursor).data;
+  assert.equal(changes.reset, true);
+  assert.deepEqual(changes.changes, []);
+});
+
+test("a restore is refused when the columns changed since the snapshot", () => {
+  const server = loadServer();
+  seed(server);
+  const snapshotId = server.call("createSnapshot").data.id;
+
+  server.evaluate("productTableConfig").fields = { name: "string", price: "number", stock: "number", category_fk: "number", created_at: "date" };
+  server.evaluate("MIGRATIONS").push({
+    version: 2,
+    name: "Add stock to products",
+    steps: [{ op: "add_column", table: "PRODUCT", field: "stock", after: "price", default: 0 }],
+  });
+  server.call("runMigrations");
+
+  const response = server.call("restoreSnapshot", snapshotId, "product");
+  assert.equal(response.status, 409);
+  assert.match(response.error, /version 1, now 2/);
+  assert.equal(server.call("diffSnapshot", snapshotId, "product").data.tables[0].columnsMatch, false);
+  // Tables that didn't change can still be restored
+  assert.equal(server.call("restoreSnapshot", snapshotId, "category").status, 200);
+});
+
+test("the schedule installs one trigger and scheduled snapshots are trimmed", () => {
+  const server = loadServer();
+
+  assert.equal(server.call("setSnapshotSchedule", 5).status, 400);
+  assert.equal(server.call("setSnapshotSchedule", 12).status, 200);
+  assert.equal(server.call("setSnapshotSchedule", 24).status, 200);
+  assert.deepEqual(server.gas.state.triggers.map((trigger) => [trigger.handler, trigger.schedule]), [
+    ["runScheduledSnapshot", { everyDays: 1 }],
+  ]);
+  assert.equal(server.call("listSnapshots").data.scheduleHours, 24);
+
+  // The trigger runs without a signed-in user
+  server.setUser("");
+  const event = { triggerUid: server.gas.state.triggers[0].uid };
+  const keep = server.evaluate("SNAPSHOT_KEEP_SCHEDULED");
+  for (let run = 0; run < keep + 2; run++) {
+    assert.equal(JSON.parse(server.context.runScheduledSnapshot(event)).status, 200);
+  }
+  assert.equal(server.call("runScheduledSnapshot", { triggerUid: "forged" }).status, 403);
+
+  server.setUser("owner@example.com");
+  server.call("createSnapshot", "manual one");
+  const snapshots = server.call("listSnapshots").data.snapshots;
+  assert.equal(snapshots.filter((item) => item.reason === "scheduled").length, keep);
+  assert.equal(snapshots[0].reason, "manual");
+
+  assert.equal(server.call("setSnapshotSchedule", 0).status, 200);
+  assert.equal(server.gas.state.triggers.length, 0);
+});
+
+test("snapshots are for admins and only from the snapshot folder", () => {
+  const server = loadServer({ user: "eva@example.com", roles: { "eva@example.com": "editor" } });
+
+  ["createSnapshot", "listSnapshots", "diffSnapshot", "restoreSnapshot", "setSnapshotSchedule"].forEach((name) =>
+    assert.equal(server.call(name).status, 403, name)
+  );
+
+  server.setUser("owner@example.com");
+  const stray = server.gas.drive.createFolder("elsewhere").createFile("x.json", "{}", "application/json");
+  assert.equal(server.call("restoreSnapshot", stray.getId()).status, 404);
+});